@@ -0,0 +1,180 @@
+/**
+ * achievements.js — Declarative achievement rules, tiers, progress and a versioned save.
+ *
+ * An achievement is plain data:
+ *   {id, title, desc, icon, tier?: "bronze" | "silver" | "gold", hidden?, rule?}
+ * rule is a condition over a stats snapshot the game builds (crashes, topSpeed, ...):
+ *   {stat, min}     — unlocked once stats[stat] >= min; shows a "7 / 10" progress bar
+ *   {stat, max}     — unlocked once stats[stat] <= max (lap times); no bar
+ *   min / max may name another stat holding the target, for totals only known
+ *   once the scene is built ({stat: "orbs", min: "orbTotal"}).
+ *   unit: optional label for the progress text, progress: false hides the bar.
+ * Achievements without a rule are events, unlocked directly by id (quest rewards,
+ * boarding the ship, ...).
+ *
+ * The save is {v, unlocked: {id: timestamp}, progress: {id: best value}}.
+ * Progress latches the best value seen, so a session counter that resets on reload
+ * never moves a bar backwards. Unknown ids are kept, so adding or removing
+ * achievements never drops anything a player already earned; the pre-versioned
+ * save (a plain array of ids) is migrated on load.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const ACHIEVEMENT_SAVE_VERSION = 1;
+
+export const ACHIEVEMENT_TIERS = {
+    bronze: { label: "Bronze", rank: 1, color: "#d08a4a" },
+    silver: { label: "Silver", rank: 2, color: "#c8d2dc" },
+    gold:   { label: "Gold",   rank: 3, color: "#ffd24a" }
+};
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+
+function target(rule, stats) {
+    const t = rule.min ?? rule.max;
+    return typeof t === "string" ? (stats ? stats[t] : undefined) : t;
+}
+
+function fmtValue(v, t) {
+    if (v == null || !isFinite(v)) return "—";
+    // Whole-number targets count whole things; small fractional ones (km, s) keep a decimal
+    return Number.isInteger(t) && t >= 20 ? Math.floor(v).toLocaleString() : (Math.floor(v * 10) / 10).toString();
+}
+
+/** Better of two measured values for a rule (higher for min rules, lower for max rules). */
+function best(rule, a, b) {
+    if (a == null || !isFinite(a)) return b;
+    if (b == null || !isFinite(b)) return a;
+    return rule.max !== undefined ? Math.min(a, b) : Math.max(a, b);
+}
+
+export function ruleMet(rule, value, stats) {
+    const t = target(rule, stats);
+    if (value == null || !isFinite(value) || t == null || !isFinite(t)) return false;
+    return rule.max !== undefined ? value <= t : value >= t;
+}
+
+// ============================================================
+// DEFINITIONS
+// ============================================================
+
+/** Definition problems as strings (empty when valid) — for data authored by hand. */
+export function achievementDefErrors(defs) {
+    const errs = [], seen = new Set();
+    for (const d of defs) {
+        if (!d.id || !d.title) errs.push(`${d.id || "?"}: needs id and title`);
+        if (seen.has(d.id)) errs.push(`${d.id}: duplicate id`);
+        seen.add(d.id);
+        if (d.tier && !ACHIEVEMENT_TIERS[d.tier]) errs.push(`${d.id}: unknown tier "${d.tier}"`);
+        if (d.rule && (!d.rule.stat || (d.rule.min === undefined) === (d.rule.max === undefined)))
+            errs.push(`${d.id}: rule needs a stat and exactly one of min / max`);
+    }
+    return errs;
+}
+
+// ============================================================
+// SAVE
+// ============================================================
+
+/** Save state from whatever was persisted (null, legacy id array or a versioned blob). */
+export function loadAchievements(saved) {
+    const save = { v: ACHIEVEMENT_SAVE_VERSION, unlocked: {}, progress: {} };
+    if (Array.isArray(saved)) {
+        for (const id of saved) if (typeof id === "string") save.unlocked[id] = 0;
+        return save;
+    }
+    if (!saved || typeof saved !== "object") return save;
+    // Newer saves keep their unlocks; only the fields this version knows are read
+    if (saved.unlocked && typeof saved.unlocked === "object") {
+        for (const [id, at] of Object.entries(saved.unlocked)) save.unlocked[id] = typeof at === "number" ? at : 0;
+    }
+    if (saved.progress && typeof saved.progress === "object") {
+        for (const [id, v] of Object.entries(saved.progress)) if (typeof v === "number" && isFinite(v)) save.progress[id] = v;
+    }
+    return save;
+}
+
+export function isUnlocked(save, id) {
+    return Object.prototype.hasOwnProperty.call(save.unlocked, id);
+}
+
+/** Mark `id` unlocked at `now`. Returns false if it already was. */
+export function unlockAchievement(save, id, now = Date.now()) {
+    if (isUnlocked(save, id)) return false;
+    save.unlocked[id] = now;
+    delete save.progress[id];
+    return true;
+}
+
+export function serializeAchievements(save) {
+    return JSON.stringify(save);
+}
+
+// ============================================================
+// EVALUATION
+// ============================================================
+
+/**
+ * Measure every locked rule achievement against `stats`.
+ * Returns {unlocked: [ids newly met], progressed: bool (some saved best value moved)}.
+ * Newly met ids are NOT marked here — the caller unlocks them (popup, sound, save).
+ */
+export function evaluateAchievements(defs, save, stats) {
+    const unlocked = [];
+    let progressed = false;
+    for (const d of defs) {
+        if (!d.rule || isUnlocked(save, d.id)) continue;
+        const v = stats[d.rule.stat];
+        if (v == null || !isFinite(v)) continue;
+        const b = best(d.rule, save.progress[d.id], v);
+        if (b !== save.progress[d.id]) { save.progress[d.id] = b; progressed = true; }
+        if (ruleMet(d.rule, b, stats)) unlocked.push(d.id);
+    }
+    return { unlocked, progressed };
+}
+
+// ============================================================
+// QUERIES
+// ============================================================
+
+/**
+ * Display row for a badge:
+ * {unlocked, at, hidden (locked and secret), tier, progress: {value, target, frac, text} | null}.
+ * Progress is only given for locked, visible min rules whose target is known.
+ */
+export function achievementRow(def, save, stats) {
+    const unlocked = isUnlocked(save, def.id);
+    const row = { unlocked, at: unlocked ? save.unlocked[def.id] : null, hidden: !unlocked && !!def.hidden, tier: def.tier || null, progress: null };
+    const r = def.rule;
+    if (unlocked || row.hidden || !r || r.min === undefined || r.progress === false) return row;
+    const t = target(r, stats);
+    if (t == null || !isFinite(t) || t <= 0) return row;
+    const v = save.progress[def.id] || 0;
+    row.progress = {
+        value: v, target: t, frac: clamp(v / t, 0, 1),
+        text: `${fmtValue(Math.min(v, t), t)} / ${fmtValue(t, t)}${r.unit ? " " + r.unit : ""}`
+    };
+    return row;
+}
+
+/** {earned, total, tiers: {bronze: [earned, total], ...}} */
+export function achievementSummary(defs, save) {
+    const tiers = {};
+    for (const k of Object.keys(ACHIEVEMENT_TIERS)) tiers[k] = [0, 0];
+    let earned = 0;
+    for (const d of defs) {
+        const on = isUnlocked(save, d.id);
+        if (on) earned++;
+        if (d.tier && tiers[d.tier]) { tiers[d.tier][1]++; if (on) tiers[d.tier][0]++; }
+    }
+    return { earned, total: defs.length, tiers };
+}
@@ -0,0 +1,145 @@
+/**
+ * car-damage.js — Per-zone crash damage and what it does to the car's handling.
+ *
+ * A car's damage is {front, rear, left, right} (0 = new … 1 = wrecked) plus the
+ * dents that made it, in car space (x right, z toward the rear, the same frame
+ * the models are measured in). Impacts land on the zone the contact point is
+ * nearest to and add damage in proportion to the impact energy per kilogram
+ * (½ Δv²), so a tap does nothing and a wall at speed does a lot.
+ *
+ * damageTune() folds the damage into a stepPhysics tune:
+ *   front — less engine (radiator, intake) and less front grip
+ *   rear  — less rear grip
+ *   sides — a bent corner: grip off the whole car and a steering pull
+ *           toward the damaged side (tune.steerPull, radians)
+ *
+ * Saved per car as {v, front, rear, left, right, dents: [[x, z, depth], ...]};
+ * loadDamage() sanitises whatever comes back.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const DAMAGE_VERSION = 1;
+export const DAMAGE_ZONES = ["front", "rear", "left", "right"];
+
+export const DAMAGE_TUNING = {
+    minDv: 2.5,          // m/s Δv that leaves no mark
+    fullDv: 16,          // m/s Δv that wrecks a zone from new in one hit
+    spread: 0.25,        // share of a hit's damage the neighbouring zones take
+    panelAt: 0.65,       // zone damage where panels start coming off
+    maxDents: 16,
+    dentDepth: 0.22,     // m pushed in by a full-strength hit
+    enginePerFront: 0.45,
+    gripPerFront: 0.22,
+    gripPerRear: 0.22,
+    gripPerSide: 0.1,
+    pullPerSide: 0.06    // rad of steering pull at a wrecked side
+};
+
+// Footprint the contact point is compared against (matches collision-physics CAR_BOX)
+const HALF_W = 0.95, HALF_L = 2.1;
+const NEIGHBOURS = { front: ["left", "right"], rear: ["left", "right"], left: ["front", "rear"], right: ["front", "rear"] };
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+const isNum = v => typeof v === "number" && isFinite(v);
+
+export function freshDamage() {
+    return { v: DAMAGE_VERSION, front: 0, rear: 0, left: 0, right: 0, dents: [] };
+}
+
+/** Damage from whatever was saved (null or a partial blob); never throws. */
+export function loadDamage(saved) {
+    const d = freshDamage();
+    if (!saved || typeof saved !== "object") return d;
+    for (const z of DAMAGE_ZONES) if (isNum(saved[z])) d[z] = clamp(saved[z], 0, 1);
+    if (Array.isArray(saved.dents)) {
+        d.dents = saved.dents
+            .filter(a => Array.isArray(a) && a.length === 3 && a.every(isNum))
+            .slice(-DAMAGE_TUNING.maxDents)
+            .map(([x, z, depth]) => [clamp(x, -HALF_W * 2, HALF_W * 2), clamp(z, -HALF_L * 2, HALF_L * 2), clamp(depth, 0, DAMAGE_TUNING.dentDepth)]);
+    }
+    return d;
+}
+
+/** 0–1 overall: the worst zone, nudged up by the rest. */
+export function damageLevel(d) {
+    const v = DAMAGE_ZONES.map(z => d[z]);
+    const worst = Math.max(...v), mean = v.reduce((a, b) => a + b, 0) / v.length;
+    return clamp(worst * 0.75 + mean * 0.25, 0, 1);
+}
+
+export function isPristine(d) {
+    return DAMAGE_ZONES.every(z => d[z] === 0) && !d.dents.length;
+}
+
+// ============================================================
+// IMPACTS
+// ============================================================
+
+/**
+ * Car-space contact point from a world contact: heading as in driving-physics
+ * (forward = (-sin h, -cos h), right = (cos h, -sin h)). Returns [x, z].
+ */
+export function toCarSpace(heading, carX, carZ, px, pz) {
+    const s = Math.sin(heading), c = Math.cos(heading), dx = px - carX, dz = pz - carZ;
+    return [dx * c - dz * s, dx * s + dz * c];
+}
+
+/** Zone a car-space point belongs to (compared on the footprint's proportions). */
+export function zoneAt(x, z) {
+    const u = x / HALF_W, w = z / HALF_L;
+    if (Math.abs(w) >= Math.abs(u)) return w < 0 ? "front" : "rear";
+    return u > 0 ? "right" : "left";
+}
+
+/**
+ * Add one impact at car-space (x, z) with the car's Δv (m/s). Mutates d.
+ * Returns null for a hit too soft to count, else
+ * {zone, added, dent: [x, z, depth] | null, panel: true when the zone just crossed panelAt}.
+ */
+export function applyImpact(d, x, z, dv, cfg = DAMAGE_TUNING) {
+    if (!(dv > cfg.minDv)) return null;
+    const k = (dv * dv - cfg.minDv * cfg.minDv) / (cfg.fullDv * cfg.fullDv - cfg.minDv * cfg.minDv);
+    const zone = zoneAt(x, z), before = d[zone];
+    d[zone] = clamp(before + k, 0, 1);
+    for (const n of NEIGHBOURS[zone]) d[n] = clamp(d[n] + k * cfg.spread, 0, 1);
+    const depth = Math.min(k, 1) * cfg.dentDepth;
+    let dent = null;
+    if (depth > 0.01) {
+        dent = [Math.round(x * 100) / 100, Math.round(z * 100) / 100, Math.round(depth * 1000) / 1000];
+        d.dents.push(dent);
+        if (d.dents.length > cfg.maxDents) d.dents.shift();
+    }
+    return { zone, added: d[zone] - before, dent, panel: before < cfg.panelAt && d[zone] >= cfg.panelAt };
+}
+
+// ============================================================
+// HANDLING
+// ============================================================
+
+/** A new tune with the damage applied over `tune` (powertrain torque scaled too). */
+export function damageTune(tune, d, cfg = DAMAGE_TUNING) {
+    if (!d || DAMAGE_ZONES.every(z => !d[z])) return tune;
+    const out = { ...tune };
+    const power = 1 - cfg.enginePerFront * d.front;
+    const side = Math.max(d.left, d.right);
+    out.engineForce = tune.engineForce * power;
+    if (tune.reverseForce) out.reverseForce = tune.reverseForce * power;
+    if (tune.powertrain && power !== 1) {
+        const eng = tune.powertrain.engine;
+        out.powertrain = { ...tune.powertrain, engine: { ...eng, torqueCurve: eng.torqueCurve.map(([r, t]) => [r, t * power]) } };
+    }
+    out.peakGripF = tune.peakGripF * (1 - cfg.gripPerFront * d.front) * (1 - cfg.gripPerSide * side);
+    out.peakGripR = tune.peakGripR * (1 - cfg.gripPerRear * d.rear) * (1 - cfg.gripPerSide * side);
+    // steer > 0 is left (driveInputs convention): a bent left corner pulls left
+    out.steerPull = (tune.steerPull || 0) + (d.left - d.right) * cfg.pullPerSide;
+    return out;
+}
@@ -0,0 +1,203 @@
+/**
+ * collision-physics.js — Oriented-box contacts and impulse response for cars.
+ *
+ * Top-down 2D (x, z) rigid bodies in the same convention as driving-physics.js:
+ *   - heading rotates about +Y, forward = (-sin h, -cos h), right = (cos h, -sin h)
+ *   - angularVel is d(heading)/dt, so a point at offset r moves with ω × r = (ω·rz, -ω·rx)
+ *
+ * Provides:
+ *   - OBB construction for cars (heading + half extents) and world AABBs
+ *   - Separating-axis overlap test returning normal, depth and contact point
+ *   - Impulse resolution with restitution, Coulomb friction and lever-arm spin,
+ *     so off-centre and glancing hits turn the car instead of just stopping it
+ *   - Impact → effect sizing (sparks, flying parts, camera shake)
+ *
+ * Bodies are plain {x, z, velX, velZ, angularVel, mass, inertia}; mass 0 or
+ * Infinity is immovable (buildings, walls). Results are returned, never applied.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const COLLISION_DEFAULTS = {
+    restitution: 0.3,        // car ↔ car bounce
+    staticRestitution: 0.15, // car ↔ wall bounce
+    friction: 0.45,          // Coulomb μ at the contact (scrape on glancing blows)
+    slop: 0.01,              // m of overlap left alone (avoids jitter on resting contact)
+    correction: 0.9,         // fraction of the remaining overlap pushed out per contact
+    maxSpin: 5.0,            // rad/s cap on the yaw change from a single hit
+    sparkDv: 1.5,            // m/s Δv before any sparks fly
+    sparksPerDv: 1.6,        // sparks per m/s of Δv above sparkDv
+    maxSparks: 24,
+    partsDv: 9.0,            // m/s Δv before body parts come off
+    shakePerDv: 0.12,
+    maxShake: 2.0
+};
+
+// Player/AI car footprint (m) — the bicycle model's wheelbase plus overhangs
+export const CAR_BOX = { halfW: 0.95, halfL: 2.1 };
+
+const CONTACT_EPS = 0.02;    // corner-inside tolerance for contact points
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+function invOf(m) { return m > 0 && isFinite(m) ? 1 / m : 0; }
+
+// Radius of the box projected onto unit axis (ux, uz)
+function projRadius(o, ux, uz) {
+    return o.halfL * Math.abs(o.fx * ux + o.fz * uz) + o.halfW * Math.abs(o.rx * ux + o.rz * uz);
+}
+
+function containsPoint(o, x, z, eps) {
+    const dx = x - o.x, dz = z - o.z;
+    return Math.abs(dx * o.fx + dz * o.fz) <= o.halfL + eps && Math.abs(dx * o.rx + dz * o.rz) <= o.halfW + eps;
+}
+
+// ============================================================
+// SHAPES
+// ============================================================
+
+/** Oriented box centred at (x, z), halfL along the heading, halfW across it. */
+export function makeOBB(x, z, heading, halfW = CAR_BOX.halfW, halfL = CAR_BOX.halfL) {
+    const s = Math.sin(heading), c = Math.cos(heading);
+    return { x, z, halfW, halfL, fx: -s, fz: -c, rx: c, rz: -s };
+}
+
+/** Axis-aligned world box (e.g. a THREE.Box3's x/z range) as an OBB. */
+export function boxToOBB(minX, minZ, maxX, maxZ) {
+    return makeOBB((minX + maxX) / 2, (minZ + maxZ) / 2, 0, (maxX - minX) / 2, (maxZ - minZ) / 2);
+}
+
+export function obbCorners(o) {
+    const out = [];
+    for (const [l, w] of [[1, 1], [1, -1], [-1, -1], [-1, 1]]) {
+        out.push([o.x + o.fx * o.halfL * l + o.rx * o.halfW * w, o.z + o.fz * o.halfL * l + o.rz * o.halfW * w]);
+    }
+    return out;
+}
+
+// ============================================================
+// CONTACT
+// ============================================================
+
+/**
+ * Separating-axis test between two OBBs.
+ * Returns null when apart, else {nx, nz, depth, px, pz}: the unit normal
+ * points from b towards a (push a along +n), p is the contact point.
+ */
+export function obbContact(a, b) {
+    const dx = a.x - b.x, dz = a.z - b.z;
+    const axes = [[a.fx, a.fz], [a.rx, a.rz], [b.fx, b.fz], [b.rx, b.rz]];
+    let depth = Infinity, nx = 0, nz = 0;
+    for (const [ux, uz] of axes) {
+        const d = dx * ux + dz * uz;
+        const o = projRadius(a, ux, uz) + projRadius(b, ux, uz) - Math.abs(d);
+        if (o <= 0) return null;
+        if (o < depth) { depth = o; const sg = d < 0 ? -1 : 1; nx = ux * sg; nz = uz * sg; }
+    }
+    // Contact point: average of corners buried in the other box
+    let px = 0, pz = 0, k = 0;
+    for (const [cx, cz] of obbCorners(a)) if (containsPoint(b, cx, cz, CONTACT_EPS)) { px += cx; pz += cz; k++; }
+    for (const [cx, cz] of obbCorners(b)) if (containsPoint(a, cx, cz, CONTACT_EPS)) { px += cx; pz += cz; k++; }
+    if (k) { px /= k; pz /= k; }
+    else {
+        // Edge crossing edge — middle of the overlap along the normal
+        const ra = projRadius(a, nx, nz) - depth * 0.5;
+        px = a.x - nx * ra; pz = a.z - nz * ra;
+    }
+    return { nx, nz, depth, px, pz };
+}
+
+// ============================================================
+// RESPONSE
+// ============================================================
+
+/**
+ * Impulse response for a contact from obbContact(a, b).
+ * Returns {a, b, impulse, closingSpeed, tangentSpeed} where a/b are
+ * {dx, dz, velX, velZ, angularVel} — position correction plus the new
+ * velocities. impulse is the normal impulse (N·s), 0 if already separating.
+ */
+export function resolveContact(a, b, contact, opts = {}) {
+    const cfg = { ...COLLISION_DEFAULTS, ...opts };
+    const { nx, nz, depth, px, pz } = contact;
+    const imA = invOf(a.mass), imB = invOf(b.mass);
+    const iiA = imA ? invOf(a.inertia) : 0, iiB = imB ? invOf(b.inertia) : 0;
+    const res = {
+        a: { dx: 0, dz: 0, velX: a.velX || 0, velZ: a.velZ || 0, angularVel: a.angularVel || 0 },
+        b: { dx: 0, dz: 0, velX: b.velX || 0, velZ: b.velZ || 0, angularVel: b.angularVel || 0 },
+        impulse: 0, closingSpeed: 0, tangentSpeed: 0
+    };
+    const imSum = imA + imB;
+    if (!imSum) return res;
+
+    // Push apart by inverse mass share
+    const push = Math.max(depth - cfg.slop, 0) * cfg.correction / imSum;
+    res.a.dx = nx * push * imA; res.a.dz = nz * push * imA;
+    res.b.dx = -nx * push * imB; res.b.dz = -nz * push * imB;
+
+    const rAx = px - a.x, rAz = pz - a.z, rBx = px - b.x, rBz = pz - b.z;
+    const relVel = () => [
+        (res.a.velX + res.a.angularVel * rAz) - (res.b.velX + res.b.angularVel * rBz),
+        (res.a.velZ - res.a.angularVel * rAx) - (res.b.velZ - res.b.angularVel * rBx)
+    ];
+    const apply = (jx, jz) => {
+        res.a.velX += jx * imA; res.a.velZ += jz * imA;
+        res.b.velX -= jx * imB; res.b.velZ -= jz * imB;
+        res.a.angularVel += iiA * (rAz * jx - rAx * jz);
+        res.b.angularVel -= iiB * (rBz * jx - rBx * jz);
+    };
+    const effMass = (ux, uz) => {
+        const ca = rAz * ux - rAx * uz, cb = rBz * ux - rBx * uz;
+        return imSum + iiA * ca * ca + iiB * cb * cb;
+    };
+
+    let [vx, vz] = relVel();
+    const vn = vx * nx + vz * nz;
+    res.closingSpeed = Math.max(-vn, 0);
+    if (vn >= 0) return res;
+
+    const e = imA && imB ? cfg.restitution : cfg.staticRestitution;
+    const j = -(1 + e) * vn / effMass(nx, nz);
+    apply(j * nx, j * nz);
+    res.impulse = j;
+
+    // Friction along the sliding direction, bounded by μ·j
+    [vx, vz] = relVel();
+    const vnAfter = vx * nx + vz * nz;
+    let tx = vx - vnAfter * nx, tz = vz - vnAfter * nz;
+    const vt = Math.hypot(tx, tz);
+    res.tangentSpeed = vt;
+    if (vt > 1e-4) {
+        tx /= vt; tz /= vt;
+        const jt = clamp(-vt / effMass(tx, tz), -cfg.friction * j, cfg.friction * j);
+        apply(jt * tx, jt * tz);
+    }
+
+    // A single hit may spin a car, not helicopter it
+    const wA0 = a.angularVel || 0, wB0 = b.angularVel || 0;
+    res.a.angularVel = wA0 + clamp(res.a.angularVel - wA0, -cfg.maxSpin, cfg.maxSpin);
+    res.b.angularVel = wB0 + clamp(res.b.angularVel - wB0, -cfg.maxSpin, cfg.maxSpin);
+    return res;
+}
+
+/**
+ * Effect sizing from an impulse on a body of `mass`:
+ * {dv, sparks, parts, shake} — dv is the body's velocity change (m/s).
+ */
+export function impactEffects(impulse, mass, opts = {}) {
+    const cfg = { ...COLLISION_DEFAULTS, ...opts };
+    const dv = mass > 0 ? Math.abs(impulse) / mass : 0;
+    return {
+        dv,
+        sparks: dv > cfg.sparkDv ? Math.min(cfg.maxSparks, Math.round(2 + (dv - cfg.sparkDv) * cfg.sparksPerDv)) : 0,
+        parts: dv >= cfg.partsDv,
+        shake: Math.min(dv * cfg.shakePerDv, cfg.maxShake)
+    };
+}
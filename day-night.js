@@ -0,0 +1,182 @@
+/**
+ * day-night.js — The world clock, the sun / moon path and the sky it paints, and night-light culling.
+ *
+ * The clock keeps an hour (0–24) in one of three modes:
+ *   cycle — a full day every dayMinutes real minutes, starting from `hour`
+ *   real  — the player's local time
+ *   fixed — always `hour`
+ * Settings save as {v, mode, dayMinutes, hour}; loadClock() falls back to the
+ * defaults field by field, so an old or hand-edited blob never breaks the world.
+ *
+ * dayLook() turns an hour and a season into everything the scene needs:
+ *   - light direction (the sun by day, the moon by night), colour and intensity
+ *   - hemisphere level, fog distance scale and a tint for the unlit toon shaders
+ *   - sky / fog: the season's daytime palette (passed in) blended through dusk
+ *     into that season's night palette
+ *   - lights: 0 by day → 1 at night; lamps come on a little before sunset
+ * Colours are 0xRRGGBB sRGB ints (THREE.Color.setHex takes them as they are).
+ *
+ * cullLights() picks which light sources get one of the few real lights this
+ * frame: the nearest ones in range, up to the budget. The rest make do with
+ * their glowing bulbs.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const CLOCK_VERSION = 1;
+
+export const CLOCK_MODES = { cycle: "Cycle", real: "Real time", fixed: "Fixed" };
+
+export const CLOCK_DEFAULTS = {
+    mode: "cycle",
+    dayMinutes: 12,      // real minutes per in-game day (cycle mode)
+    hour: 10             // start hour (cycle) or the hour (fixed)
+};
+export const DAY_LENGTHS = [4, 8, 12, 24, 48];
+
+const SUNRISE = 6, SUNSET = 18;
+const SUN_MAX_ELEV = 62 * Math.PI / 180;
+const MOON_MAX_ELEV = 48 * Math.PI / 180;
+const SHADE_MIN_ELEV = 14 * Math.PI / 180;   // toon shading never lights from below the horizon
+
+// Night palettes in season order (spring, summer, autumn, winter); winter nights glow off the snow
+export const NIGHT_SKIES = [
+    { sky: 0x0e1830, fog: 0x16203a },
+    { sky: 0x101c3a, fog: 0x1a2842 },
+    { sky: 0x15141f, fog: 0x201e2a },
+    { sky: 0x1c2434, fog: 0x2a3244 }
+];
+export const DUSK = { sky: 0xe8946c, fog: 0xd89a80, sun: 0xff8a50 };
+const MOON = 0x9ab0ff;
+const NIGHT_TINT = [0.3, 0.34, 0.5], DUSK_TINT = [1.05, 0.86, 0.74];
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+function smoothstep(e0, e1, x) { const t = clamp((x - e0) / (e1 - e0), 0, 1); return t * t * (3 - 2 * t); }
+const isNum = v => typeof v === "number" && isFinite(v);
+const wrapHour = h => ((h % 24) + 24) % 24;
+
+/** Mix two 0xRRGGBB colours (k = 0 → a, 1 → b). */
+export function mixHex(a, b, k) {
+    const ch = s => { const x = (a >> s) & 255, y = (b >> s) & 255; return Math.round(x + (y - x) * k) << s; };
+    return ch(16) | ch(8) | ch(0);
+}
+
+export function hexOf(css) {
+    return typeof css === "number" ? css : parseInt(String(css).replace("#", ""), 16);
+}
+
+// ============================================================
+// CLOCK
+// ============================================================
+
+/** Clock settings from whatever was saved (null or a partial blob); never throws. */
+export function loadClock(saved) {
+    const c = { v: CLOCK_VERSION, ...CLOCK_DEFAULTS };
+    if (!saved || typeof saved !== "object") return c;
+    if (CLOCK_MODES[saved.mode]) c.mode = saved.mode;
+    if (isNum(saved.dayMinutes)) c.dayMinutes = clamp(saved.dayMinutes, 1, 240);
+    if (isNum(saved.hour)) c.hour = wrapHour(saved.hour);
+    return c;
+}
+
+function localHour(now) {
+    return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+}
+
+/** The hour the world opens at. */
+export function clockStart(settings, now = new Date()) {
+    return settings.mode === "real" ? localHour(now) : settings.hour;
+}
+
+/** Advance the hour by dt real seconds. */
+export function stepClock(hour, settings, dt, now = new Date()) {
+    if (settings.mode === "real") return localHour(now);
+    if (settings.mode === "fixed") return settings.hour;
+    return wrapHour(hour + dt * 24 / (settings.dayMinutes * 60));
+}
+
+export function fmtClock(hour) {
+    const m = Math.floor(wrapHour(hour) * 60);
+    return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+}
+
+// ============================================================
+// SUN + SKY
+// ============================================================
+
+/**
+ * Sun and moon at an hour: elevations / azimuths in radians (the sun rises in
+ * the east at SUNRISE, peaks at noon, sets in the west; the moon runs the night half).
+ */
+export function sunAt(hour) {
+    const h = wrapHour(hour), k = (h - SUNRISE) / (SUNSET - SUNRISE);
+    const arc = Math.sin(k * Math.PI);                     // > 0 by day, < 0 by night
+    const elev = arc * SUN_MAX_ELEV, az = -Math.PI / 2 + k * Math.PI;
+    const nk = wrapHour(h - SUNSET) / (24 - (SUNSET - SUNRISE));
+    return { elev, az, moonElev: Math.sin(nk * Math.PI) * MOON_MAX_ELEV, moonAz: -Math.PI / 2 + nk * Math.PI };
+}
+
+function dirOf(elev, az) {
+    const c = Math.cos(elev);
+    return [Math.sin(az) * c, Math.sin(elev), Math.cos(az) * c];
+}
+
+/**
+ * Everything the scene needs at an hour. day: the season's daytime {sky, fog, sun}
+ * (css strings or ints); season: 0–3 for the night palette.
+ * Returns {hour, day (0–1 daylight), dusk (0–1), lights (0–1), sunDir, shadeDir,
+ *  sunColor, sunI, hemiI, fogScale, sky, fog, tint: [r, g, b]}.
+ */
+export function dayLook(hour, day, season = 0) {
+    const s = sunAt(hour), deg = s.elev * 180 / Math.PI;
+    const daylight = smoothstep(-6, 12, deg);
+    const dusk = clamp(1 - Math.abs(deg - 3) / 16, 0, 1);     // peaks with the sun just over the horizon
+    const lights = 1 - smoothstep(-2, 12, deg);
+    const night = NIGHT_SKIES[clamp(season | 0, 0, 3)];
+    const dSky = hexOf(day.sky), dFog = hexOf(day.fog), dSun = hexOf(day.sun);
+    const sky = mixHex(mixHex(night.sky, dSky, daylight), DUSK.sky, dusk * 0.55);
+    const fog = mixHex(mixHex(night.fog, dFog, daylight), DUSK.fog, dusk * 0.45);
+    const up = daylight > 0.02;
+    const sunDir = up ? dirOf(s.elev, s.az) : dirOf(s.moonElev, s.moonAz);
+    const shadeDir = up ? dirOf(Math.max(s.elev, SHADE_MIN_ELEV), s.az) : dirOf(Math.max(s.moonElev, SHADE_MIN_ELEV), s.moonAz);
+    const tint = [0, 1, 2].map(i => {
+        const t = NIGHT_TINT[i] + (1 - NIGHT_TINT[i]) * daylight;
+        return t + (DUSK_TINT[i] - 1) * dusk * 0.6 * daylight;
+    });
+    return {
+        hour: wrapHour(hour), day: daylight, dusk, lights, sunDir, shadeDir,
+        sunColor: up ? mixHex(dSun, DUSK.sun, dusk * 0.7) : MOON,
+        sunI: up ? 1.1 * daylight : 0.18 * smoothstep(0, 0.3, Math.sin(s.moonElev)),
+        hemiI: 0.22 + 0.68 * daylight,
+        fogScale: 0.72 + 0.28 * daylight,
+        sky, fog, tint
+    };
+}
+
+// ============================================================
+// LIGHT CULLING
+// ============================================================
+
+/**
+ * Up to `budget` sources nearest (x, z) within `range`, nearest first.
+ * sources: [{x, z, ...}]; entries with on === false are skipped.
+ */
+export function cullLights(sources, x, z, budget, range = Infinity) {
+    if (budget <= 0) return [];
+    const near = [];
+    for (const s of sources) {
+        if (s.on === false) continue;
+        const d = Math.hypot(s.x - x, s.z - z);
+        if (d <= range) near.push([d, s]);
+    }
+    near.sort((a, b) => a[0] - b[0]);
+    return near.slice(0, budget).map(n => n[1]);
+}
@@ -0,0 +1,316 @@
+/**
+ * drift-judge.js — Judged drift runs: clipping points, zones, angle and line scoring per section.
+ *
+ * Free drifting (stepDriftScoring in driving-physics.js) pays for speed × slip
+ * anywhere on the map. A judged run scores one lap of a drift circuit the way a
+ * competition does, against the `judging` block of its track file:
+ *   {angle?, sections?: [{name, from}], clips: [{at, type}], zones: [{from, to, type}]}
+ * Positions are in turn units: n is control point n of the track (the n-th
+ * "turns" entry), 2.5 is half way along the road from turn 2 to turn 3. type is
+ * "inner" (apex side) or "outer"; which side of the road that is comes from the
+ * bend itself. Without sections there is one per turn, named from "turns".
+ *
+ * Scoring, per section:
+ *   line    — clipping points: the closest pass while sliding, full marks within
+ *             clipFull metres of the point, nothing past clipReach; zones: the
+ *             share of the zone driven sideways, weighted by closeness to its edge;
+ *             both are settled by the time their section is reported
+ *   angle   — per metre sliding, most at the target angle
+ *   style   — per metre sliding, plus a bonus per transition (the slide flipping
+ *             direction without the car straightening up in between)
+ *   penalty — a spin (past spinAngle) or leaving the road (past its half-width
+ *             + offMargin), once per incident
+ * A run starts crossing the start line the way the track runs and ends the next
+ * time across it; backing over the line or turning round aborts it.
+ *
+ * Progress comes from race-ai.js's racing line and tracker, so the judge and the
+ * AI agree on where a lap starts and how far along a car is.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+import { linePointAt, freshTracker, updateTracker } from "./race-ai.js";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const JUDGE_SCORING = {
+    angleTarget: 35,         // deg — a track's judging.angle overrides it
+    angleTolerance: 25,      // deg either side of the target before angle points stop
+    angleRate: 4,            // pts per metre sliding at the target angle
+    styleRate: 1.5,          // pts per metre sliding
+    clipPoints: 250,
+    clipFull: 1.5,           // m from the clipping point for full marks
+    clipReach: 6,            // m — nothing further out
+    clipWindow: 12,          // m of track either side of a clip where the pass is measured
+    clipInset: 1.2,          // m in from the painted edge (about half a car)
+    zonePoints: 300,
+    transitionPoints: 150,
+    transitionMin: 10,       // deg — smaller slip angles don't count as a direction
+    transitionGap: 0.5,      // s the slide may stop between the two directions
+    spinAngle: 100,          // deg between heading and travel
+    spinRecover: 45,         // deg — back under this ends the spin
+    spinMinSpeed: 3,         // m/s
+    spinPenalty: 300,
+    offMargin: 0.5,          // m past the road's half-width
+    offPenalty: 200,
+    abortBack: 10,           // m back over the start line
+    abortTurn: 25            // m back from the furthest point reached
+};
+
+export const CLIP_TYPES = ["inner", "outer"];
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+const isNum = v => typeof v === "number" && isFinite(v);
+
+function nearestPoint(pts, x, z) {
+    let best = 0, bestD = Infinity;
+    pts.forEach((p, i) => { const d = Math.hypot(p[0] - x, p[1] - z); if (d < bestD) { bestD = d; best = i; } });
+    return best;
+}
+
+/** Arc length of a turn-unit position (turnS: arc length at every control point). */
+function turnToS(turnS, length, at) {
+    const i = Math.floor(at), k = at - i, a = turnS[i], b = i + 1 < turnS.length ? turnS[i + 1] : length;
+    return a + (b - a) * k;
+}
+
+/** +1 when the road bends right around arc length s, -1 when left (sum of heading change over ±span). */
+function bendSide(line, s, span = 10) {
+    const a = linePointAt(line, s - span).idx, b = linePointAt(line, s).idx, c = linePointAt(line, s + span).idx;
+    const cross = (i, j) => line.tx[i] * line.tz[j] - line.tz[i] * line.tx[j];
+    return cross(a, b) + cross(b, c) >= 0 ? 1 : -1;
+}
+
+// ============================================================
+// COURSE
+// ============================================================
+
+/** Problems with a track's judging block as strings (empty when valid or absent). */
+export function judgingErrors(def) {
+    const j = def.judging, errs = [];
+    if (j == null) return errs;
+    if (typeof j !== "object" || Array.isArray(j)) return ["judging must be an object"];
+    const n = Array.isArray(def.ctrl) ? def.ctrl.length : 0;
+    const inLap = v => isNum(v) && v >= 0 && v <= n;
+    if (j.angle !== undefined && !(isNum(j.angle) && j.angle > 0 && j.angle < 90)) errs.push("judging angle must be 0–90°");
+    if (j.sections !== undefined) {
+        if (!Array.isArray(j.sections) || !j.sections.length) errs.push("judging sections must be a non-empty list");
+        else j.sections.forEach((s, i) => {
+            if (!s || !inLap(s.from) || s.from >= n) errs.push(`judging section ${i + 1}: from must be a turn 0–${n - 1}`);
+            else if (i === 0 && s.from !== 0) errs.push("judging sections must start at turn 0");
+            else if (i > 0 && j.sections[i - 1] && !(s.from > j.sections[i - 1].from)) errs.push(`judging section ${i + 1}: out of order`);
+        });
+    }
+    (Array.isArray(j.clips) ? j.clips : []).forEach((c, i) => {
+        if (!c || !inLap(c.at) || c.at >= n) errs.push(`judging clip ${i + 1}: at must be a turn 0–${n - 1}`);
+        else if (!CLIP_TYPES.includes(c.type)) errs.push(`judging clip ${i + 1}: type must be inner or outer`);
+    });
+    (Array.isArray(j.zones) ? j.zones : []).forEach((z, i) => {
+        if (!z || !inLap(z.from) || !inLap(z.to) || !(z.to > z.from)) errs.push(`judging zone ${i + 1}: needs from < to within turns 0–${n}`);
+        else if (!CLIP_TYPES.includes(z.type)) errs.push(`judging zone ${i + 1}: type must be inner or outer`);
+    });
+    if (j.clips !== undefined && !Array.isArray(j.clips)) errs.push("judging clips must be a list");
+    if (j.zones !== undefined && !Array.isArray(j.zones)) errs.push("judging zones must be a list");
+    return errs;
+}
+
+/**
+ * Judged course for a track def (with a valid judging block) on its racing line
+ * (buildRacingLine(tr.pts)). Every position is resolved to arc length from the
+ * start line; clips also get their world point {x, z} for markers.
+ */
+export function buildJudge(def, line) {
+    const j = def.judging, S = JUDGE_SCORING, n = def.ctrl.length;
+    const turnS = def.ctrl.map(([x, z], i) => (i ? line.s[nearestPoint(line.pts, x, z)] : 0));
+    const at = v => turnToS(turnS, line.length, v);
+    const edge = def.width - S.clipInset;
+    const sections = (j.sections || def.ctrl.map((c, i) => ({ name: (def.turns && def.turns[i]) || `Turn ${i}`, from: i })))
+        .map((s, i, all) => ({ name: s.name || `Section ${i + 1}`, from: at(s.from), to: i + 1 < all.length ? at(all[i + 1].from) : line.length }));
+    const sectionAt = s => { let k = 0; sections.forEach((sec, i) => { if (s >= sec.from) k = i; }); return k; };
+    const clips = (j.clips || []).map(c => {
+        const s = at(c.at), side = bendSide(line, s) * (c.type === "inner" ? 1 : -1), p = linePointAt(line, s, side * edge);
+        return { s, type: c.type, side, x: p.x, z: p.z, section: sectionAt(s) };
+    });
+    const zones = (j.zones || []).map(z => {
+        const from = at(z.from), to = at(z.to), side = bendSide(line, (from + to) / 2) * (z.type === "inner" ? 1 : -1);
+        return { from, to, type: z.type, side, section: sectionAt((from + to) / 2) };
+    });
+    return {
+        line, sections, clips, zones, edge, turns: n,
+        halfWidth: def.roadHalfWidth,
+        angle: j.angle ?? S.angleTarget
+    };
+}
+
+// ============================================================
+// RUN
+// ============================================================
+
+function freshSection() {
+    return { line: 0, angle: 0, style: 0, penalty: 0, transitions: 0, spins: 0, offs: 0, clips: 0, drifted: 0 };
+}
+
+/** Idle run: waits for the start line. */
+export function freshDriftRun() {
+    return { phase: "idle", tracker: null, base: 0, d: 0, maxD: 0, time: 0, section: 0, sections: [],
+        clipBest: [], clipDone: [], zoneAcc: [], zoneDone: [], dir: 0, gapT: Infinity, spinning: false, off: false };
+}
+
+function startRun(run, judge) {
+    Object.assign(run, { phase: "run", base: run.tracker.lap * judge.line.length, d: 0, maxD: 0, time: 0, section: 0,
+        sections: judge.sections.map(freshSection),
+        clipBest: judge.clips.map(() => 0), clipDone: judge.clips.map(() => false),
+        zoneAcc: judge.zones.map(() => 0), zoneDone: judge.zones.map(() => false),
+        dir: 0, gapT: Infinity, spinning: false, off: false });
+}
+
+function closeClip(run, judge, i, events) {
+    const q = run.clipBest[i], c = judge.clips[i], sec = run.sections[c.section], points = Math.round(q * JUDGE_SCORING.clipPoints);
+    run.clipDone[i] = true;
+    sec.line += points;
+    if (q > 0) sec.clips++;
+    events.push({ type: "clip", index: i, quality: q, points });
+}
+
+function closeZone(run, judge, i, events) {
+    const z = judge.zones[i], q = clamp(run.zoneAcc[i] / (z.to - z.from), 0, 1), points = Math.round(q * JUDGE_SCORING.zonePoints);
+    run.zoneDone[i] = true;
+    run.sections[z.section].line += points;
+    events.push({ type: "zone", index: i, quality: q, points });
+}
+
+/** Closes every clip and zone still open in sections before `upTo`, so a section is scored in full before it is reported. */
+function closeBefore(run, judge, upTo, events) {
+    judge.clips.forEach((c, i) => { if (!run.clipDone[i] && c.section < upTo) closeClip(run, judge, i, events); });
+    judge.zones.forEach((z, i) => { if (!run.zoneDone[i] && z.section < upTo) closeZone(run, judge, i, events); });
+}
+
+/**
+ * One frame. car: {x, z, localVx, localVy (stepPhysics body frame), drifting}.
+ * Returns events in order:
+ *   {type: "start"} · {type: "clip" | "zone", index, quality (0–1), points}
+ *   {type: "transition"} · {type: "spin" | "off", penalty}
+ *   {type: "section", index, result} when a section is left (result as in driftRunResult)
+ *   {type: "finish", result} · {type: "abort", reason}
+ * A finish on the line starts the next run in the same frame.
+ */
+export function stepDriftRun(run, judge, dt, car) {
+    const S = JUDGE_SCORING, line = judge.line, events = [];
+    if (!run.tracker) { run.tracker = freshTracker(line, car.x, car.z); return events; }
+    const lapped = updateTracker(run.tracker, line, car.x, car.z);
+    if (run.phase !== "run") {
+        if (lapped) { startRun(run, judge); events.push({ type: "start" }); }
+        return events;
+    }
+
+    const d = run.tracker.progress - run.base, ds = Math.max(0, d - run.d);
+    run.d = d; run.time += dt;
+    if (d < -S.abortBack || run.maxD - d > S.abortTurn) {
+        const reason = d < 0 ? "back over the start line" : "wrong way";
+        Object.assign(run, freshDriftRun(), { tracker: run.tracker });
+        events.push({ type: "abort", reason });
+        return events;
+    }
+    run.maxD = Math.max(run.maxD, d);
+
+    // Where the car is: section, side of the road, slip angle (+ = sliding to the right)
+    const sec = run.sections[run.section];
+    const p = linePointAt(line, d), lat = (car.x - p.x) * -line.tz[p.idx] + (car.z - p.z) * line.tx[p.idx];
+    const speed = Math.hypot(car.localVx, car.localVy);
+    const angle = speed > 0.5 ? Math.atan2(car.localVy, car.localVx) * 180 / Math.PI : 0, absA = Math.abs(angle);
+
+    // Incidents
+    if (!run.spinning && absA > S.spinAngle && speed > S.spinMinSpeed) {
+        run.spinning = true; sec.spins++; sec.penalty += S.spinPenalty; run.dir = 0;
+        events.push({ type: "spin", penalty: S.spinPenalty });
+    } else if (run.spinning && (absA < S.spinRecover || speed < 1)) run.spinning = false;
+    if (!run.off && Math.abs(lat) > judge.halfWidth + S.offMargin) {
+        run.off = true; sec.offs++; sec.penalty += S.offPenalty;
+        events.push({ type: "off", penalty: S.offPenalty });
+    } else if (run.off && Math.abs(lat) <= judge.halfWidth) run.off = false;
+
+    const sliding = car.drifting && !run.spinning && !run.off;
+    if (sliding) {
+        sec.drifted += ds;
+        sec.angle += ds * S.angleRate * clamp(1 - Math.abs(absA - judge.angle) / S.angleTolerance, 0, 1);
+        sec.style += ds * S.styleRate;
+        // Transition: the slide changes direction with no more than a short straight-up gap
+        const dir = absA >= S.transitionMin ? Math.sign(angle) : 0;
+        if (dir && run.dir && dir !== run.dir && run.gapT <= S.transitionGap) {
+            sec.transitions++; sec.style += S.transitionPoints;
+            events.push({ type: "transition" });
+        }
+        if (dir) run.dir = dir;
+        run.gapT = 0;
+    } else {
+        run.gapT += dt;
+        if (run.gapT > S.transitionGap) run.dir = 0;
+    }
+
+    // Clipping points and zones along the way
+    judge.clips.forEach((c, i) => {
+        if (run.clipDone[i]) return;
+        if (d > c.s + S.clipWindow) { closeClip(run, judge, i, events); return; }
+        if (sliding && d > c.s - S.clipWindow) {
+            const q = clamp(1 - (Math.hypot(car.x - c.x, car.z - c.z) - S.clipFull) / (S.clipReach - S.clipFull), 0, 1);
+            run.clipBest[i] = Math.max(run.clipBest[i], q);
+        }
+    });
+    judge.zones.forEach((z, i) => {
+        if (run.zoneDone[i]) return;
+        if (sliding && d > z.from && d - ds < z.to) {
+            const inZone = Math.min(d, z.to) - Math.max(d - ds, z.from);
+            run.zoneAcc[i] += inZone * clamp(1 - Math.abs(lat - z.side * judge.edge) / (judge.edge * 2), 0, 1);
+        }
+        if (d >= z.to) closeZone(run, judge, i, events);
+    });
+
+    // Section change / finish
+    const finished = lapped && d >= line.length * 0.9;
+    while (run.section < judge.sections.length - 1 && d >= judge.sections[run.section + 1].from) {
+        closeBefore(run, judge, run.section + 1, events);
+        events.push({ type: "section", index: run.section, result: sectionResult(run.sections[run.section], judge.sections[run.section]) });
+        run.section++;
+    }
+    if (finished) {
+        closeBefore(run, judge, judge.sections.length, events);
+        events.push({ type: "section", index: run.section, result: sectionResult(run.sections[run.section], judge.sections[run.section]) });
+        events.push({ type: "finish", result: driftRunResult(run, judge) });
+        startRun(run, judge);
+        events.push({ type: "start" });
+    }
+    return events;
+}
+
+// ============================================================
+// RESULTS
+// ============================================================
+
+function sectionResult(s, def) {
+    const r = { name: def.name, line: Math.round(s.line), angle: Math.round(s.angle), style: Math.round(s.style),
+        penalty: s.penalty, transitions: s.transitions, spins: s.spins, offs: s.offs, clips: s.clips, drifted: Math.round(s.drifted) };
+    r.total = r.line + r.angle + r.style - r.penalty;
+    return r;
+}
+
+/**
+ * Breakdown of a run (finished or in progress):
+ * {total (never below 0), time, sections: [{name, line, angle, style, penalty, total, transitions, spins, offs, clips, drifted}],
+ *  clips: [hit, of], zones: [average quality 0–1], transitions, spins, offs}
+ */
+export function driftRunResult(run, judge) {
+    const sections = run.sections.map((s, i) => sectionResult(s, judge.sections[i]));
+    const sum = k => sections.reduce((a, s) => a + s[k], 0);
+    return {
+        total: Math.max(0, sum("total")), time: run.time, sections,
+        clips: [run.clipBest.filter((q, i) => run.clipDone[i] && q > 0).length, judge.clips.length],
+        zones: judge.zones.length ? judge.zones.reduce((a, z, i) => a + clamp(run.zoneAcc[i] / (z.to - z.from), 0, 1), 0) / judge.zones.length : 0,
+        transitions: sum("transitions"), spins: sum("spins"), offs: sum("offs")
+    };
+}
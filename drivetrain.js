@@ -0,0 +1,223 @@
+/**
+ * drivetrain.js — Optional engine / gearbox / differential model for stepPhysics.
+ *
+ * The arcade tunes push one flat `engineForce` through the driven axle. A tune
+ * that carries a `powertrain` spec (see getDriveTune(car, {powertrain: true}))
+ * instead gets:
+ *   - An engine torque curve sampled at real RPM, rev limiter and engine braking
+ *   - A multi-gear gearbox with auto shifting or a manually selected gear,
+ *     a slipping clutch for launches and a torque gap while changing gear
+ *   - Open / limited-slip / locked differentials: inside-wheel unloading caps
+ *     the drive an open diff can put down, locking resists (or feeds) yaw
+ *
+ * Torque figures are game-scaled so the sim cars land near the arcade tunes'
+ * acceleration; ratios and RPM are real enough for the tach and engine sound.
+ *
+ * All functions are PURE — no DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const RAD_TO_RPM = 60 / (2 * Math.PI);
+
+export const DIFF_TYPES = ["open", "lsd", "locked"];
+
+export const POWERTRAIN_SPECS = {
+    default: {
+        engine: {
+            idleRpm: 900, redline: 7200, limiter: 7400,
+            // [rpm, N·m] — linear between points, flat outside
+            torqueCurve: [[1000, 300], [2500, 400], [4500, 470], [6000, 450], [7400, 360]],
+            engineBrakeNm: 90,
+            launchRpm: 3800
+        },
+        gearbox: {
+            ratios: [3.5, 2.1, 1.45, 1.1, 0.86],
+            reverse: 3.3,
+            finalDrive: 5.6,
+            shiftTime: 0.22,
+            upshiftAt: 0.94,     // fraction of redline
+            downshiftAt: 0.42
+        },
+        wheelRadius: 0.31,
+        efficiency: 0.88,
+        diff: "lsd", lsdLock: 0.4,
+        trackWidth: 1.5
+    },
+    mazda: {
+        // 13B rotary — peaky and high-revving, close-ratio 5-speed
+        engine: {
+            idleRpm: 950, redline: 8500, limiter: 8800,
+            torqueCurve: [[1000, 250], [3000, 340], [5500, 420], [7200, 440], [8800, 340]],
+            engineBrakeNm: 70,
+            launchRpm: 4500
+        },
+        gearbox: { ratios: [3.48, 2.02, 1.39, 1.0, 0.76], finalDrive: 4.9 },
+        diff: "lsd", lsdLock: 0.55
+    },
+    sport: {
+        engine: {
+            idleRpm: 850, redline: 7000, limiter: 7200,
+            torqueCurve: [[1000, 360], [2500, 500], [4500, 520], [6000, 480], [7200, 400]],
+            engineBrakeNm: 100,
+            launchRpm: 3500
+        },
+        gearbox: { ratios: [3.3, 2.05, 1.48, 1.14, 0.92, 0.76], finalDrive: 4.9, shiftTime: 0.15 },
+        diff: "open",
+        trackWidth: 1.6
+    }
+};
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+function lerp(a, b, t) { return a + (b - a) * t; }
+function expDecay(current, target, rate, dt) {
+    return target + (current - target) * Math.exp(-rate * dt);
+}
+
+/** Spec for a car: default merged with the car's overrides (engine/gearbox merged one level deep). */
+export function getPowertrainSpec(activeCar) {
+    const base = POWERTRAIN_SPECS.default;
+    const spec = POWERTRAIN_SPECS[activeCar] || {};
+    return {
+        ...base, ...spec,
+        engine: { ...base.engine, ...spec.engine },
+        gearbox: { ...base.gearbox, ...spec.gearbox }
+    };
+}
+
+export function engineTorqueAt(engine, rpm) {
+    const c = engine.torqueCurve;
+    if (rpm <= c[0][0]) return c[0][1];
+    for (let i = 1; i < c.length; i++) {
+        if (rpm <= c[i][0]) {
+            const [r0, t0] = c[i - 1], [r1, t1] = c[i];
+            return lerp(t0, t1, (rpm - r0) / (r1 - r0));
+        }
+    }
+    return c[c.length - 1][1];
+}
+
+function gearRatio(spec, gear) {
+    const gb = spec.gearbox;
+    if (gear < 0) return gb.reverse;
+    if (gear === 0) return 0;
+    return gb.ratios[gear - 1];
+}
+
+/** Engine RPM the wheels would drive in `gear` at forward speed vx (m/s). */
+export function wheelRpm(spec, gear, vx) {
+    return Math.abs(vx) / spec.wheelRadius * gearRatio(spec, gear) * spec.gearbox.finalDrive * RAD_TO_RPM;
+}
+
+// ============================================================
+// ENGINE + GEARBOX
+// ============================================================
+
+export function freshPowertrainState(spec) {
+    return { gear: 1, rpm: spec ? spec.engine.idleRpm : 900, shiftT: 0 };
+}
+
+/**
+ * One step of engine + gearbox.
+ * io: {throttle, reverse (smoothed 0..1), localVx, boostMul, wheelspin (0..1),
+ *      gear — manual gear selection 1..n, 0/undefined for the automatic}
+ * The manual selection is a held level, not a key edge, so it replays through
+ * sample-and-hold input timelines; the box walks one gear per shiftTime toward it.
+ * Returns {driveForce, engineBrakeForce, rpm, gear, shifting, limiter, state}.
+ * driveForce is signed along the car (negative in reverse).
+ */
+export function stepPowertrain(dt, pt, spec, io) {
+    const eng = spec.engine, gb = spec.gearbox, nGears = gb.ratios.length;
+    let gear = pt ? pt.gear : 1, rpm = pt ? pt.rpm : eng.idleRpm, shiftT = pt ? pt.shiftT : 0;
+    const vx = io.localVx || 0;
+    const throttle = io.throttle || 0, reverse = io.reverse || 0;
+
+    // Reverse is selected by the brake/reverse input near standstill, like the arcade model
+    if (reverse > 0.01 && vx < 1 && gear > 0) { gear = -1; shiftT = 0; }
+    else if (throttle > 0.01 && gear < 0 && vx > -1) { gear = 1; shiftT = 0; }
+
+    if (shiftT > 0) shiftT = Math.max(0, shiftT - dt);
+    else if (gear > 0) {
+        const rpmHere = wheelRpm(spec, gear, vx);
+        const want = io.gear > 0 ? Math.min(Math.round(io.gear), nGears) : 0;
+        if (want) {
+            if (want > gear) { gear++; shiftT = gb.shiftTime; }
+            else if (want < gear && wheelRpm(spec, gear - 1, vx) < eng.limiter) { gear--; shiftT = gb.shiftTime * 0.6; }
+        } else if (rpmHere > eng.redline * gb.upshiftAt && gear < nGears && throttle > 0.1) {
+            gear++; shiftT = gb.shiftTime;
+        } else if (gear > 1 && rpmHere < eng.redline * gb.downshiftAt
+            && wheelRpm(spec, gear - 1, vx) < eng.redline * gb.upshiftAt * 0.92) {
+            gear--; shiftT = gb.shiftTime * 0.6;
+        }
+    }
+    const shifting = shiftT > 0;
+    const pedal = gear < 0 ? reverse : throttle;
+
+    // Target RPM: locked to the wheels, clutch slips in first/reverse below launch RPM,
+    // wheelspin lets the engine flare toward the limiter
+    const total = gearRatio(spec, gear) * gb.finalDrive;
+    let target = wheelRpm(spec, gear, vx);
+    if (Math.abs(gear) === 1 && target < eng.launchRpm) {
+        target = Math.max(target, eng.idleRpm + pedal * (eng.launchRpm - eng.idleRpm));
+    }
+    if (shifting) target = Math.max(eng.idleRpm, lerp(rpm, target, 0.5));
+    target = lerp(target, eng.limiter, clamp(io.wheelspin || 0, 0, 1) * 0.6 * pedal);
+    rpm = clamp(expDecay(rpm, target, 18, dt), eng.idleRpm, eng.limiter);
+
+    const limiter = rpm >= eng.limiter - 1;
+    let driveForce = 0, engineBrakeForce = 0;
+    if (!shifting && total > 0) {
+        const torque = limiter ? 0 : engineTorqueAt(eng, rpm) * pedal * (io.boostMul || 1);
+        driveForce = (gear < 0 ? -1 : 1) * torque * total * spec.efficiency / spec.wheelRadius;
+        if (pedal < 0.1) {
+            const ebTorque = eng.engineBrakeNm * clamp(rpm / eng.redline, 0, 1) * (1 - pedal / 0.1);
+            engineBrakeForce = ebTorque * total / spec.wheelRadius;
+        }
+    }
+
+    return {
+        driveForce, engineBrakeForce, rpm, gear, shifting, limiter,
+        state: { gear, rpm, shiftT }
+    };
+}
+
+// ============================================================
+// DIFFERENTIAL
+// ============================================================
+
+function diffLock(spec) {
+    if (spec.diff === "locked") return 1;
+    if (spec.diff === "lsd") return clamp(spec.lsdLock ?? 0.4, 0, 1);
+    return 0;
+}
+
+/**
+ * Share (0..1) of an axle's traction limit the differential can use for drive.
+ * latAccel unloads the inside wheel; an open diff can only put down twice the
+ * inside wheel's grip, a locked diff uses both wheels fully.
+ */
+export function diffTractionShare(spec, latAccel, cgHeight, gravity) {
+    const transfer = clamp(Math.abs(latAccel) * cgHeight / (spec.trackWidth * gravity), 0, 0.5);
+    const open = 1 - 2 * transfer;
+    return lerp(open, 1, diffLock(spec));
+}
+
+/**
+ * Yaw torque from a locking diff forcing both driven wheels to the same speed.
+ * While gripping it resists rotation (stability, understeer); once the axle is
+ * spinning the locked wheels keep pushing the slide instead.
+ */
+export function diffYawTorque(spec, axleDrive, angularVel, localVx, wheelspin) {
+    const lock = diffLock(spec);
+    if (!lock || !axleDrive) return 0;
+    const half = spec.trackWidth / 2;
+    const speedSplit = clamp(angularVel * half / Math.max(Math.abs(localVx), 3) * 6, -1, 1);
+    const grip = 1 - clamp(wheelspin, 0, 1);
+    return -speedSplit * Math.abs(axleDrive) * 0.12 * half * lock * lerp(-0.5, 1, grip);
+}
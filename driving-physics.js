@@ -18,11 +18,15 @@
  *   - Throttle/brake smoothing
  *   - Semi-implicit Euler integration
  *   - Surface grip, handbrake, drift scoring
+ *   - Optional torque-curve / gearbox / differential powertrain (drivetrain.js)
+ *   - Optional steering pull from crash damage (tune.steerPull, car-damage.js)
  *
  * All functions are PURE — they take inputs and return outputs with no
  * DOM / Three.js / scene side-effects.
  */
 
+import { getPowertrainSpec, stepPowertrain, diffTractionShare, diffYawTorque } from "./drivetrain.js";
+
 // ============================================================
 // CONSTANTS
 // ============================================================
@@ -59,6 +63,7 @@ export const DRIVE_CAR_TUNES = {
         reverseForce: 15000,
         launchDriveMul: 1.50,   // More launch punch
         brakeForce: 20000,
+        brakeBias: 0.6,         // Front share of the foot brake
         engineBrakeForce: 3400, // More engine braking for lift-off oversteer
         throttleResponse: 26.0, // Snappier throttle
         brakeResponse: 20.0,    // Snappier brakes
@@ -185,14 +190,92 @@ export const DRIVE_PHYSICS = {
     handbrakeReleaseBlend: 4.5    // NEW: Smooth transition on release
 };
 
+// ============================================================
+// CAR SETUP (garage tuning merged over the base tune)
+// ============================================================
+
+// Player-facing setup knobs: [min, max, default, step]. Steering lock is in
+// radians; the rest are ratios/multipliers so one setup means the same on every car.
+export const DRIVE_SETUP_LIMITS = {
+    brakeBias:    [0.45, 0.75, 0.6, 0.01],  // front share of the foot brake
+    steerLock:    [0.28, 0.52, null, 0.01], // null: the car's own maxSteerAngle
+    gripBalance:  [-1, 1, 0, 0.05],         // -1 loose rear … +1 planted rear
+    handbrake:    [0.5, 1.6, 1, 0.05],      // handbrake force, and how far it unloads the rear
+    counterSteer: [0, 1.6, 1, 0.05],        // × DRIVE_PHYSICS.counterSteerAssist
+    power:        [0.7, 1.15, 1, 0.01]      // × engine force / torque
+};
+
+export const DRIVE_SETUP_PRESETS = {
+    grip:  { label: "Grip",  brakeBias: 0.62, steerLock: 0.34, gripBalance: 0.45, handbrake: 0.8, counterSteer: 0.8, power: 1 },
+    drift: { label: "Drift", brakeBias: 0.56, steerLock: 0.5, gripBalance: -0.55, handbrake: 1.4, counterSteer: 1.3, power: 1.1 },
+    snow:  { label: "Snow",  brakeBias: 0.58, steerLock: 0.44, gripBalance: 0.3, handbrake: 0.9, counterSteer: 1.2, power: 0.8 }
+};
+
+const SETUP_GRIP_SHIFT = 0.08;   // peak grip moved between axles at |gripBalance| = 1
+
+/** Defaults for a car (steering lock from its tune). */
+export function defaultSetup(activeCar) {
+    const out = {};
+    for (const [k, [, , def]] of Object.entries(DRIVE_SETUP_LIMITS)) out[k] = def;
+    out.steerLock = getDriveTune(activeCar).maxSteerAngle;
+    return out;
+}
+
+/** Setup with every knob present, finite and inside its bounds (unknown keys dropped). */
+export function clampSetup(setup, activeCar) {
+    const def = defaultSetup(activeCar), out = {};
+    for (const [k, [lo, hi]] of Object.entries(DRIVE_SETUP_LIMITS)) {
+        const v = Number(setup?.[k]);
+        out[k] = Number.isFinite(v) ? clamp(v, lo, hi) : def[k];
+    }
+    return out;
+}
+
+/** A new tune with `setup` applied over `tune` (powertrain torque scaled too). */
+export function applySetup(tune, setup) {
+    const s = setup || {};
+    const out = { ...tune };
+    if (s.brakeBias != null) out.brakeBias = s.brakeBias;
+    if (s.steerLock != null) out.maxSteerAngle = s.steerLock;
+    if (s.gripBalance) {
+        out.peakGripF = tune.peakGripF * (1 - SETUP_GRIP_SHIFT * s.gripBalance);
+        out.peakGripR = tune.peakGripR * (1 + SETUP_GRIP_SHIFT * s.gripBalance);
+    }
+    if (s.handbrake != null && s.handbrake !== 1) {
+        out.handbrakeBrakeForce = tune.handbrakeBrakeForce * s.handbrake;
+        out.handbrakeGripMul = clamp(tune.handbrakeGripMul / s.handbrake, 0.04, 0.4);
+        out.handbrakeEntryBoost = tune.handbrakeEntryBoost * Math.sqrt(s.handbrake);
+    }
+    if (s.counterSteer != null && s.counterSteer !== 1) {
+        out.counterSteerAssist = DRIVE_PHYSICS.counterSteerAssist * s.counterSteer;
+    }
+    if (s.power != null && s.power !== 1) {
+        out.engineForce = tune.engineForce * s.power;
+        if (tune.reverseForce) out.reverseForce = tune.reverseForce * s.power;
+        if (tune.powertrain) {
+            const eng = tune.powertrain.engine;
+            out.powertrain = { ...tune.powertrain, engine: { ...eng, torqueCurve: eng.torqueCurve.map(([r, t]) => [r, t * s.power]) } };
+        }
+    }
+    return out;
+}
+
 // ============================================================
 // HELPERS
 // ============================================================
 
-export function getDriveTune(activeCar) {
+/**
+ * opts.powertrain: attach the car's engine/gearbox/diff spec so stepPhysics
+ * runs the extended drivetrain instead of the flat engineForce.
+ * opts.setup: garage setup (DRIVE_SETUP_LIMITS keys) merged over the base tune.
+ */
+export function getDriveTune(activeCar, opts = {}) {
     const base = DRIVE_CAR_TUNES.default;
     const spec = DRIVE_CAR_TUNES[activeCar] || {};
-    return { ...base, ...spec };
+    let tune = { ...base, ...spec };
+    if (opts.powertrain) tune.powertrain = getPowertrainSpec(activeCar);
+    if (opts.setup) tune = applySetup(tune, clampSetup(opts.setup, activeCar));
+    return tune;
 }
 
 export function getSurfaceType(roadDistVal, terrainH) {
@@ -255,7 +338,12 @@ function tireForce(slipAngle, B, D, falloff) {
 // MAIN PHYSICS STEP
 // ============================================================
 
-export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType) {
+/**
+ * debug: optional object that receives this step's intermediate values
+ * (axle loads, grip limits, forces, yaw terms — see the end of the function).
+ * Filled in place so telemetry costs nothing when it is not passed.
+ */
+export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType, debug) {
     const { throttle: rawThrottle, steer: steerInput, handbrake, boost } = inputs;
     const boostMul = boost ? tune.boostMultiplier : 1;
     const G = DRIVE_PHYSICS.gravity;
@@ -312,7 +400,9 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
     const speedNorm = Math.min(speed / (tune.maxForwardSpeed * boostMul), 1);
     const speedFactor = 1 - speedNorm * speedNorm * 0.42;
     const effectiveMaxSteer = tune.maxSteerAngle * speedFactor;
-    const targetSteer = steerInput * effectiveMaxSteer;
+    // Damaged suspension (car-damage.js) drags the wheels off centre
+    const steerPull = tune.steerPull || 0;
+    const targetSteer = steerInput * effectiveMaxSteer + steerPull;
 
     // Variable steering rate: faster turn-in, slower in drift
     let steerRate = DRIVE_PHYSICS.steerRate;
@@ -333,7 +423,7 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
     }
 
     if (Math.abs(steerInput) < 0.01) {
-        curSteer -= curSteer * DRIVE_PHYSICS.steerCenterRate * dt;
+        curSteer -= (curSteer - steerPull) * DRIVE_PHYSICS.steerCenterRate * dt;
     }
     curSteer = clamp(curSteer, -effectiveMaxSteer, effectiveMaxSteer);
 
@@ -351,7 +441,8 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
 
     // ---- ENHANCED Counter-steer assist with progressive scaling ----
     let oversteerCatch = 0;
-    if (DRIVE_PHYSICS.counterSteerAssist > 0
+    const counterAssist = tune.counterSteerAssist ?? DRIVE_PHYSICS.counterSteerAssist;
+    if (counterAssist > 0
         && Math.abs(localVx) > DRIVE_PHYSICS.counterSteerMinSpeed) {
         const absR = Math.abs(rearSlip);
         const absF = Math.abs(frontSlip);
@@ -365,7 +456,7 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
             const progressiveBlend = DRIVE_PHYSICS.counterSteerBlend *
                 (1 - DRIVE_PHYSICS.counterSteerProgressive + DRIVE_PHYSICS.counterSteerProgressive * slipIntensity);
 
-            const assistAmt = Math.min(1, DRIVE_PHYSICS.counterSteerAssist * dt);
+            const assistAmt = Math.min(1, counterAssist * dt);
             curSteer = lerp(curSteer, -counterAngle, assistAmt * progressiveBlend);
 
             oversteerCatch = clamp(slipIntensity, 0, 1);
@@ -407,7 +498,14 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
     const launchMul = lerp(launchMulBase, 1.0, launchFade);
     const forwardDriveForce = smoothThrottle * tune.engineForce * boostMul * launchMul;
     const reverseDriveForce = -smoothReverse * (tune.reverseForce || (tune.engineForce * 0.55)) * launchMul;
-    const driveForce = forwardDriveForce + reverseDriveForce;
+
+    // ---- Optional powertrain: torque curve at real RPM through the gearbox ----
+    const pt = tune.powertrain ? stepPowertrain(dt, vehicle.powertrain, tune.powertrain, {
+        throttle: smoothThrottle, reverse: smoothReverse, localVx, boostMul,
+        wheelspin: vehicle.wheelspin || 0,
+        gear: inputs.gear
+    }) : null;
+    const driveForce = pt ? pt.driveForce : forwardDriveForce + reverseDriveForce;
     const brakeForce = smoothBrake * tune.brakeForce;
 
     // Engine braking (enhanced for lift-off oversteer)
@@ -415,7 +513,7 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
     if (smoothThrottle < 0.1 && smoothReverse < 0.1 && Math.abs(localVx) > 1.0) {
         const ebScale = 1 - Math.max(smoothThrottle, smoothReverse) / 0.1;
         const spScale = Math.min(Math.abs(localVx) / 15, 1);
-        engineBrakeF = tune.engineBrakeForce * ebScale * spScale;
+        engineBrakeF = pt ? pt.engineBrakeForce * spScale : tune.engineBrakeForce * ebScale * spScale;
         // Extra engine brake effect when lifting off at speed
         if (isThrottleLift) {
             engineBrakeF *= 1.25;
@@ -434,8 +532,9 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
 
     if (brakeForce > 0) {
         const bs = -sign(localVx) || -1;
-        frontTrac += bs * brakeForce * 0.6;
-        rearTrac += bs * brakeForce * 0.4;
+        const bias = tune.brakeBias ?? 0.6;
+        frontTrac += bs * brakeForce * bias;
+        rearTrac += bs * brakeForce * (1 - bias);
     }
 
     if (engineBrakeF > 0) {
@@ -464,8 +563,15 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
     }
 
     // Traction limits
-    const maxFTrac = weightFront * G * surfaceGrip * tune.tractionGrip;
-    const maxRTrac = weightRear * G * surfaceGrip * tune.tractionGrip;
+    let maxFTrac = weightFront * G * surfaceGrip * tune.tractionGrip;
+    let maxRTrac = weightRear * G * surfaceGrip * tune.tractionGrip;
+
+    // Differential: cornering unloads the inside driven wheel (open diff loses drive)
+    if (pt && driveForce !== 0 && brakeForce === 0) {
+        const share = diffTractionShare(tune.powertrain, localVx * angularVel, tune.cgHeight, G);
+        if (tune.drivetrain !== "rwd") maxFTrac *= share;
+        if (tune.drivetrain !== "fwd") maxRTrac *= share;
+    }
     const frontDemand = Math.abs(frontTrac);
     const rearDemand = Math.abs(rearTrac);
     frontTrac = clamp(frontTrac, -maxFTrac, maxFTrac);
@@ -519,7 +625,8 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
     // Throttle-on rotation helper
     if (Math.abs(curSteer) > 0.02 && smoothThrottle > 0.05 && Math.abs(localVx) > 2) {
         const yawSpeedFactor = smoothstep(1.5, 16, Math.abs(localVx));
-        const yawBoost = (tune.torqueReactionYaw || 0) * tune.engineForce * smoothThrottle * yawSpeedFactor;
+        const driveRef = pt ? Math.max(pt.driveForce, 0) : tune.engineForce * smoothThrottle;
+        const yawBoost = (tune.torqueReactionYaw || 0) * driveRef * yawSpeedFactor;
         rawYaw += sign(curSteer) * yawBoost;
     }
 
@@ -549,6 +656,13 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
     // Add handbrake entry yaw impulse
     rawYaw += handbrakeYawImpulse;
 
+    // Locking diff: resists rotation while gripping, pushes the slide once spinning
+    if (pt && driveForce > 0) {
+        const axleDrive = tune.drivetrain === "fwd" ? frontTrac
+            : tune.drivetrain === "awd" ? frontTrac + rearTrac : rearTrac;
+        rawYaw += diffYawTorque(tune.powertrain, axleDrive, angularVel, localVx, wheelspin01);
+    }
+
     // ---- Self-aligning torque (reduced during drift) ----
     const sat = tune.selfAligningTorque || 0;
     let satTorque = 0;
@@ -629,6 +743,20 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
 
     const newHeading = heading + angularVel * dt;
 
+    if (debug) {
+        Object.assign(debug, {
+            steerInput, steer: curSteer, throttle: smoothThrottle, reverse: smoothReverse, brake: smoothBrake, handbrake: !!handbrake,
+            frontSlip, rearSlip, oversteerCatch,
+            weightFront, weightRear, weightTransferSpike: wtSpike,
+            frontPeakF, rearPeakF, maxFTrac, maxRTrac,
+            frontTrac, rearTrac, frontLat, rearLat,
+            driveForce, brakeForce, engineBrakeF, dragF, rollR,
+            longG: totalLong / tune.mass / G, latG: forceY / tune.mass / G,
+            rawYaw, satTorque, yawDamp, yawTorque,
+            surfaceGrip, wheelspin: wheelspin01, isInDrift
+        });
+    }
+
     return {
         velX, velZ, angularVel,
         heading: newHeading,
@@ -644,7 +772,13 @@ export function stepPhysics(dt, inputs, vehicle, tune, surfaceGrip, surfaceType)
         // NEW: Additional state for next frame
         wasHandbrake: handbrake,
         weightTransferSpike: wtSpike,
-        isInDrift
+        isInDrift,
+        // Powertrain (null/0 on arcade tunes)
+        wheelspin: wheelspin01,
+        powertrain: pt ? pt.state : null,
+        rpm: pt ? pt.rpm : 0,
+        gear: pt ? pt.gear : 0,
+        shifting: pt ? pt.shifting : false
     };
 }
 
@@ -732,7 +866,9 @@ export function freshVehicleState() {
         smoothThrottle: 0, smoothReverse: 0, smoothBrake: 0,
         wasHandbrake: false,
         weightTransferSpike: 0,
-        isInDrift: false
+        isInDrift: false,
+        wheelspin: 0,
+        powertrain: null
     };
 }
 
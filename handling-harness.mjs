@@ -0,0 +1,237 @@
+/**
+ * handling-harness.mjs — Headless handling checks for DRIVE_CAR_TUNES.
+ *
+ * Drives every tune through scripted maneuvers with the fixed-step runner
+ * (physics-runner.js → stepPhysics) and isDrifting, then prints a
+ * comparison table so tuning edits can be reviewed as numbers:
+ *
+ *   node handling-harness.mjs            # all tunes
+ *   node handling-harness.mjs mazda      # one or more tunes
+ *   node handling-harness.mjs --json     # machine-readable metrics
+ *   node handling-harness.mjs --powertrain   # extended engine/gearbox/diff model
+ *
+ * Maneuvers:
+ *   - Launch: 0–100 km/h time and top speed (no boost)
+ *   - Skidpad: steady-state circle at 12 m/s on every DRIVE_SURFACE_GRIP surface
+ *   - Handbrake turn-in: 15 m/s, full lock + handbrake, time to rotate 90°
+ *   - Scandinavian flick: feint right, flick left with a lift, peak slip
+ *   - Spin recovery: handbrake + power oversteer, let go of everything, does it settle?
+ *
+ * Exits with code 1 when any CHECKS bound fails.
+ */
+
+import { DRIVE_CAR_TUNES, DRIVE_SURFACE_GRIP, DRIVE_PHYSICS, getDriveTune, isDrifting } from "./driving-physics.js";
+import { createRunner, stepRunner, runnerTime } from "./physics-runner.js";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const KMH = 4.2;                 // HUD convention: km/h = speed * 4.2
+const G = DRIVE_PHYSICS.gravity;
+
+// Bounds every tune must meet — keep loose enough for character, tight enough to catch breakage
+const CHECKS = {
+    launch100Max: 8.0,           // s
+    topSpeedMin: 150,            // km/h
+    skidpadTarmacGMin: 0.55,     // g
+    skidpadSnowGMax: 0.6,        // g (snow must stay slippery)
+    surfaceOrder: true,          // tarmac g >= snow g
+    hbRotate90Max: 3.5,          // s
+    flickSlipMin: 0.13,          // peak slip ratio (tarmac drift threshold)
+    recoverMax: 6.0              // s
+};
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function wrapAngle(a) {
+    while (a > Math.PI) a -= Math.PI * 2;
+    while (a < -Math.PI) a += Math.PI * 2;
+    return a;
+}
+
+function drift(r, handbrake) {
+    const b = r.body;
+    return isDrifting(b.localVx, b.localVy, b.speed, b.surfaceType, handbrake);
+}
+
+function newRunner(car, surface) {
+    return createRunner({ tune: getDriveTune(car, { powertrain: POWERTRAIN }), surface });
+}
+
+// Full throttle in a straight line until speed (m/s) or timeout
+function runUpTo(r, speed, maxT = 15) {
+    while (r.body.speed < speed && runnerTime(r) < maxT) stepRunner(r, { throttle: 1, steer: 0 });
+}
+
+// ============================================================
+// MANEUVERS
+// ============================================================
+
+function launch(car) {
+    const r = newRunner(car);
+    let t100 = Infinity, top = 0;
+    while (runnerTime(r) < 40) {
+        stepRunner(r, { throttle: 1, steer: 0 });
+        const kmh = r.body.speed * KMH;
+        if (kmh >= 100 && t100 === Infinity) t100 = runnerTime(r);
+        top = Math.max(top, kmh);
+    }
+    return { t100, top };
+}
+
+// Constant steer, throttle P-controller holds the target speed; lateral g from v·ω
+function skidpad(car, surface, target = 12, steer = 0.6) {
+    const r = newRunner(car, surface);
+    runUpTo(r, target);
+    const t0 = runnerTime(r);
+    let gSum = 0, n = 0, driftSteps = 0;
+    while (runnerTime(r) - t0 < 10) {
+        const err = target - r.body.speed;
+        const throttle = Math.max(-1, Math.min(1, err * 0.6 + 0.25));
+        stepRunner(r, { throttle, steer });
+        if (runnerTime(r) - t0 > 6) {
+            gSum += Math.abs(r.body.speed * r.body.angularVel) / G; n++;
+            if (drift(r, false).drifting) driftSteps++;
+        }
+    }
+    return { g: gSum / n, speed: r.body.speed, sliding: driftSteps / n };
+}
+
+function handbrakeTurn(car) {
+    const r = newRunner(car);
+    runUpTo(r, 15);
+    const h0 = r.body.heading, t0 = runnerTime(r);
+    let t90 = Infinity, peakYaw = 0;
+    while (runnerTime(r) - t0 < 4) {
+        const dt = runnerTime(r) - t0;
+        stepRunner(r, { throttle: dt < 0.6 ? 0 : 0.6, steer: 1, handbrake: dt < 0.6 });
+        peakYaw = Math.max(peakYaw, Math.abs(r.body.angularVel));
+        if (Math.abs(wrapAngle(r.body.heading - h0)) >= Math.PI / 2) { t90 = dt; break; }
+    }
+    return { t90, peakYaw };
+}
+
+function scandiFlick(car) {
+    const r = newRunner(car);
+    runUpTo(r, 18);
+    const t0 = runnerTime(r);
+    let peakSlip = 0, drifted = false;
+    while (runnerTime(r) - t0 < 2.5) {
+        const dt = runnerTime(r) - t0;
+        const inp = dt < 0.45 ? { throttle: 0.5, steer: -0.7 }     // feint away
+            : dt < 0.75 ? { throttle: 0, steer: 1 }                  // flick + lift
+            : { throttle: 0.8, steer: 0.5 };                         // power through
+        stepRunner(r, inp);
+        const d = drift(r, false);
+        peakSlip = Math.max(peakSlip, d.slipAmount);
+        drifted = drifted || d.drifting;
+    }
+    return { peakSlip, drifted };
+}
+
+function spinRecovery(car) {
+    const r = newRunner(car);
+    runUpTo(r, 20);
+    const t0 = runnerTime(r);
+    let spinYaw = 0;
+    // Yank the handbrake, then hold full lock on power to keep it rotating
+    while (runnerTime(r) - t0 < 1.6) {
+        const hb = runnerTime(r) - t0 < 0.6;
+        stepRunner(r, { throttle: hb ? 0 : 1, steer: 1, handbrake: hb });
+        spinYaw = Math.max(spinYaw, Math.abs(r.body.angularVel));
+    }
+    const t1 = runnerTime(r);
+    let tRec = Infinity, calm = 0;
+    while (runnerTime(r) - t1 < 8) {
+        stepRunner(r, { throttle: 0, steer: 0 });
+        const settled = Math.abs(r.body.angularVel) < 0.3 && (r.body.speed < 1 || !drift(r, false).drifting);
+        calm = settled ? calm + r.stepDt : 0;
+        if (calm >= 0.5) { tRec = runnerTime(r) - t1 - 0.5; break; }
+    }
+    return { spinYaw, tRec, recovered: tRec <= CHECKS.recoverMax };
+}
+
+// ============================================================
+// RUN + REPORT
+// ============================================================
+
+function measure(car) {
+    const skid = {};
+    for (const s of Object.keys(DRIVE_SURFACE_GRIP)) skid[s] = skidpad(car, s);
+    return { launch: launch(car), skid, hb: handbrakeTurn(car), flick: scandiFlick(car), spin: spinRecovery(car) };
+}
+
+function checksFor(m) {
+    const fails = [];
+    if (!(m.launch.t100 <= CHECKS.launch100Max)) fails.push(`0-100 ${m.launch.t100.toFixed(2)}s > ${CHECKS.launch100Max}s`);
+    if (m.launch.top < CHECKS.topSpeedMin) fails.push(`top ${m.launch.top.toFixed(0)} < ${CHECKS.topSpeedMin} km/h`);
+    if (m.skid.tarmac.g < CHECKS.skidpadTarmacGMin) fails.push(`tarmac ${m.skid.tarmac.g.toFixed(2)}g < ${CHECKS.skidpadTarmacGMin}g`);
+    if (m.skid.snow.g > CHECKS.skidpadSnowGMax) fails.push(`snow ${m.skid.snow.g.toFixed(2)}g > ${CHECKS.skidpadSnowGMax}g`);
+    if (CHECKS.surfaceOrder && m.skid.tarmac.g < m.skid.snow.g) fails.push("snow grips more than tarmac");
+    if (!(m.hb.t90 <= CHECKS.hbRotate90Max)) fails.push(`handbrake 90° ${m.hb.t90.toFixed(2)}s > ${CHECKS.hbRotate90Max}s`);
+    if (m.flick.peakSlip < CHECKS.flickSlipMin) fails.push(`flick slip ${m.flick.peakSlip.toFixed(2)} < ${CHECKS.flickSlipMin}`);
+    if (!m.spin.recovered) fails.push("no spin recovery");
+    return fails;
+}
+
+const fmt = (v, d = 2) => (isFinite(v) ? v.toFixed(d) : "—");
+
+function rows(results) {
+    const cars = Object.keys(results);
+    const line = (label, f) => [label, ...cars.map(c => f(results[c]))];
+    const out = [
+        line("0-100 km/h (s)", m => fmt(m.launch.t100)),
+        line("top speed (km/h)", m => fmt(m.launch.top, 0))
+    ];
+    for (const s of Object.keys(DRIVE_SURFACE_GRIP)) {
+        out.push(line(`skidpad ${s} (g)`, m => fmt(m.skid[s].g) + (m.skid[s].sliding > 0.5 ? " slide" : "")));
+    }
+    out.push(
+        line("hb turn 90° (s)", m => fmt(m.hb.t90)),
+        line("hb peak yaw (rad/s)", m => fmt(m.hb.peakYaw)),
+        line("flick peak slip", m => fmt(m.flick.peakSlip) + (m.flick.drifted ? " drift" : "")),
+        line("spin peak yaw (rad/s)", m => fmt(m.spin.spinYaw)),
+        line("spin recover (s)", m => fmt(m.spin.tRec)),
+        line("checks", m => (m.fails.length ? `FAIL ${m.fails.length}` : "ok"))
+    );
+    return [["metric", ...cars], ...out];
+}
+
+function printTable(table) {
+    const w = table[0].map((_, i) => Math.max(...table.map(r => String(r[i]).length)));
+    const pad = r => r.map((c, i) => (i ? String(c).padStart(w[i]) : String(c).padEnd(w[i]))).join("  ");
+    console.log(pad(table[0]));
+    console.log(w.map(n => "-".repeat(n)).join("  "));
+    table.slice(1).forEach(r => console.log(pad(r)));
+}
+
+const args = process.argv.slice(2);
+const asJson = args.includes("--json");
+const POWERTRAIN = args.includes("--powertrain");
+const wanted = args.filter(a => !a.startsWith("--"));
+const cars = wanted.length ? wanted : Object.keys(DRIVE_CAR_TUNES);
+const unknown = cars.filter(c => !DRIVE_CAR_TUNES[c]);
+if (unknown.length) {
+    console.error(`Unknown tune(s): ${unknown.join(", ")} — have ${Object.keys(DRIVE_CAR_TUNES).join(", ")}`);
+    process.exit(2);
+}
+
+const results = {};
+for (const car of cars) {
+    const m = measure(car);
+    m.fails = checksFor(m);
+    results[car] = m;
+}
+
+if (asJson) {
+    console.log(JSON.stringify(results, null, 2));
+} else {
+    printTable(rows(results));
+    for (const [car, m] of Object.entries(results)) {
+        m.fails.forEach(f => console.log(`  ✗ ${car}: ${f}`));
+    }
+}
+process.exitCode = Object.values(results).some(m => m.fails.length) ? 1 : 0;
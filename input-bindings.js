@@ -0,0 +1,189 @@
+/**
+ * input-bindings.js — Rebindable actions for keyboard and gamepad, and analog stick shaping.
+ *
+ * Every control is an action with up to KEY_SLOTS key codes (KeyboardEvent.code)
+ * and gamepad buttons (standard mapping indices). Held actions (drive, handbrake,
+ * boost) are read every frame; the rest fire once per press.
+ *
+ * Analog driving always comes from the pad's standard layout:
+ *   steer    — left stick X (axis 0)
+ *   throttle — right trigger (button 7 value)
+ *   brake    — left trigger (button 6 value)
+ * The stick gets a radial deadzone and a response curve (exponent, 1 = linear);
+ * the triggers a small deadzone and their own curve.
+ *
+ * Bindings save as {v, keys: {action: [codes]}, pad: {action: [buttons]},
+ * deadzone, steerCurve, triggerCurve, rumble}. Unknown actions are dropped and
+ * missing ones fall back to the defaults, so adding an action never breaks a save.
+ *
+ * Gamepads are read as plain data ({axes, buttons: [{pressed, value}]}), so this
+ * works on navigator.getGamepads() output or a hand-made object alike.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const BINDINGS_VERSION = 1;
+export const KEY_SLOTS = 2;
+
+// [id, label, default keys, default pad buttons, held]
+export const INPUT_ACTIONS = [
+    ["forward",   "Throttle / forward",   ["KeyW", "ArrowUp"],    [],   true],
+    ["back",      "Brake / back",         ["KeyS", "ArrowDown"],  [],   true],
+    ["left",      "Steer left",           ["KeyA", "ArrowLeft"],  [14], true],
+    ["right",     "Steer right",          ["KeyD", "ArrowRight"], [15], true],
+    ["handbrake", "Handbrake / jump",     ["Space"],              [0],  true],
+    ["boost",     "Boost / dive down",    ["ShiftLeft", "ShiftRight"], [2], true],
+    ["car",       "Enter / exit car",     ["KeyF"],               [3],  false],
+    ["garage",    "Garage",               ["KeyG"],               [4],  false],
+    ["talk",      "Talk / interact",      ["KeyE"],               [1],  false],
+    ["equip",     "Equip SMG",            ["Digit1"],             [12], false],
+    ["map",       "World map",            ["KeyM"],               [8],  false],
+    ["photo",     "Photo mode",           ["KeyP"],               [9],  false]
+].map(([id, label, keys, pad, held]) => ({ id, label, keys, pad, held }));
+
+// Keys with a fixed meaning elsewhere (menus, editor, race, split-screen, telemetry, gears, mute, share link, this panel)
+export const RESERVED_KEYS = ["Escape", "Enter", "Tab", "KeyN", "KeyT", "KeyR", "KeyB", "KeyY", "KeyK", "KeyL", "Comma", "Period", "Backspace", "Delete"];
+
+// Standard mapping; 6 / 7 are the analog triggers
+export const PAD_BUTTONS = ["A", "B", "X", "Y", "LB", "RB", "LT", "RT", "View", "Menu", "L3", "R3", "D-pad ↑", "D-pad ↓", "D-pad ←", "D-pad →", "Home"];
+const TRIGGER_BRAKE = 6, TRIGGER_THROTTLE = 7;
+
+export const INPUT_DEFAULTS = {
+    deadzone: 0.15,      // stick, radial (0–0.5)
+    steerCurve: 1.6,     // >1 softens the centre for fine corrections
+    triggerCurve: 1.0,
+    rumble: true
+};
+const TRIGGER_DEADZONE = 0.05;
+
+const KEY_NAMES = {
+    Space: "Space", ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→",
+    ShiftLeft: "L-Shift", ShiftRight: "R-Shift", ControlLeft: "L-Ctrl", ControlRight: "R-Ctrl",
+    AltLeft: "L-Alt", AltRight: "R-Alt", Minus: "-", Equal: "=", Slash: "/", Backslash: "\\",
+    Semicolon: ";", Quote: "'", BracketLeft: "[", BracketRight: "]", Backquote: "`"
+};
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+const isNum = v => typeof v === "number" && isFinite(v);
+
+export function keyLabel(code) {
+    if (!code) return "—";
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    const m = /^(?:Key|Digit)(.)$/.exec(code) || /^Numpad(.+)$/.exec(code);
+    return m ? (code.startsWith("Numpad") ? "Num " + m[1] : m[1]) : code;
+}
+
+export function padLabel(i) {
+    return i == null ? "—" : PAD_BUTTONS[i] || `Button ${i}`;
+}
+
+/** Deadzone + response curve on one axis value (−1…1). */
+export function shapeAxis(v, deadzone, curve) {
+    const a = Math.abs(v);
+    if (a <= deadzone) return 0;
+    return Math.sign(v) * Math.pow(clamp((a - deadzone) / (1 - deadzone), 0, 1), curve);
+}
+
+// ============================================================
+// BINDINGS
+// ============================================================
+
+export function defaultBindings() {
+    const b = { v: BINDINGS_VERSION, keys: {}, pad: {}, ...INPUT_DEFAULTS };
+    for (const a of INPUT_ACTIONS) { b.keys[a.id] = a.keys.slice(); b.pad[a.id] = a.pad.slice(); }
+    return b;
+}
+
+/** Bindings from whatever was saved (null or an older / partial blob); never throws. */
+export function loadBindings(saved) {
+    const b = defaultBindings();
+    if (!saved || typeof saved !== "object") return b;
+    for (const a of INPUT_ACTIONS) {
+        const k = saved.keys && saved.keys[a.id], p = saved.pad && saved.pad[a.id];
+        if (Array.isArray(k)) b.keys[a.id] = k.filter(c => typeof c === "string" && !RESERVED_KEYS.includes(c)).slice(0, KEY_SLOTS);
+        if (Array.isArray(p)) b.pad[a.id] = p.filter(i => Number.isInteger(i) && i >= 0 && i !== TRIGGER_BRAKE && i !== TRIGGER_THROTTLE).slice(0, 1);
+    }
+    if (isNum(saved.deadzone)) b.deadzone = clamp(saved.deadzone, 0, 0.5);
+    if (isNum(saved.steerCurve)) b.steerCurve = clamp(saved.steerCurve, 0.5, 3);
+    if (isNum(saved.triggerCurve)) b.triggerCurve = clamp(saved.triggerCurve, 0.5, 3);
+    if (typeof saved.rumble === "boolean") b.rumble = saved.rumble;
+    return b;
+}
+
+export function actionForKey(b, code) {
+    for (const a of INPUT_ACTIONS) if (b.keys[a.id].includes(code)) return a.id;
+    return null;
+}
+
+export function actionsForButton(b, i) {
+    return INPUT_ACTIONS.filter(a => b.pad[a.id].includes(i)).map(a => a.id);
+}
+
+/**
+ * Put `code` in key slot `slot` of `action`, taking it off any other action.
+ * Returns {ok, from (action it was taken from, or null), reason}.
+ */
+export function bindKey(b, action, code, slot = 0) {
+    if (!b.keys[action]) return { ok: false, from: null, reason: "unknown action" };
+    if (RESERVED_KEYS.includes(code)) return { ok: false, from: null, reason: `${keyLabel(code)} is reserved` };
+    const from = actionForKey(b, code);
+    if (from) b.keys[from] = b.keys[from].filter(c => c !== code);
+    const keys = b.keys[action].slice(0, KEY_SLOTS);
+    keys[Math.min(slot, keys.length)] = code;
+    b.keys[action] = keys.filter(Boolean);
+    return { ok: true, from: from === action ? null : from, reason: "" };
+}
+
+/** One pad button per action; the triggers are the analog pedals and can't be bound. */
+export function bindButton(b, action, i) {
+    if (!b.pad[action]) return { ok: false, from: null, reason: "unknown action" };
+    if (i === TRIGGER_BRAKE || i === TRIGGER_THROTTLE) return { ok: false, from: null, reason: "the triggers are throttle / brake" };
+    const from = INPUT_ACTIONS.find(a => a.id !== action && b.pad[a.id].includes(i));
+    if (from) b.pad[from.id] = [];
+    b.pad[action] = [i];
+    return { ok: true, from: from ? from.id : null, reason: "" };
+}
+
+export function unbind(b, action, device, slot = 0) {
+    if (device === "pad") b.pad[action] = [];
+    else b.keys[action] = b.keys[action].filter((c, i) => i !== slot);
+}
+
+// ============================================================
+// GAMEPAD
+// ============================================================
+
+/**
+ * One frame of a pad: {steer (−1 right … 1 left, the driveInputs convention), throttle, brake,
+ * moveX, moveY (shaped left stick, up = +), down: [button indices], active}.
+ * active is false while nothing on the pad is touched, so keys keep working beside it.
+ */
+export function readPad(pad, b) {
+    const ax = pad.axes || [], bt = pad.buttons || [];
+    const x = ax[0] || 0, y = ax[1] || 0, mag = Math.hypot(x, y);
+    // Radial deadzone: the shaped magnitude is shared out along the stick's direction
+    const s = mag > 0 ? shapeAxis(Math.min(mag, 1), b.deadzone, 1) / mag : 0;
+    const moveX = x * s, moveY = -y * s;
+    const steer = -Math.sign(x) * Math.pow(Math.min(Math.abs(moveX), 1), b.steerCurve);
+    const trig = i => shapeAxis(bt[i] ? bt[i].value ?? (bt[i].pressed ? 1 : 0) : 0, TRIGGER_DEADZONE, b.triggerCurve);
+    const throttle = trig(TRIGGER_THROTTLE), brake = trig(TRIGGER_BRAKE);
+    const down = [];
+    bt.forEach((btn, i) => { if (btn && btn.pressed && i !== TRIGGER_BRAKE && i !== TRIGGER_THROTTLE) down.push(i); });
+    return { steer, throttle, brake, moveX, moveY, down, active: !!(moveX || moveY || throttle || brake || down.length) };
+}
+
+/** Rumble effect for an event, or null when it's too weak to feel. kind: "crash" (strength = Δv m/s) | "kerb". */
+export function rumbleEffect(kind, strength = 1) {
+    if (kind === "kerb") return { duration: 60, strongMagnitude: 0, weakMagnitude: clamp(0.15 + strength * 0.02, 0.15, 0.45) };
+    const k = clamp(strength / 10, 0, 1);
+    if (k < 0.08) return null;
+    return { duration: Math.round(120 + k * 280), strongMagnitude: k, weakMagnitude: clamp(k * 0.6 + 0.2, 0, 1) };
+}
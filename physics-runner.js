@@ -0,0 +1,220 @@
+/**
+ * physics-runner.js — Fixed-timestep runner for driving-physics.js.
+ *
+ * stepPhysics() is pure, but fed with variable frame dt the same inputs
+ * never produce the same trajectory twice. This module wraps it in:
+ *   - A fixed-step accumulator (frame dt in, whole physics steps out)
+ *   - Sample-and-hold input timelines ({t, throttle, steer, handbrake, boost, gear})
+ *   - Render-state interpolation between the last two physics steps
+ *   - A headless runTimeline() that returns the full trajectory
+ *
+ * Time is counted in integer steps (t = step * stepDt), so a timeline
+ * replayed with the same tune, start pose and surface gives a bit-identical
+ * trajectory regardless of how the frames were sliced.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+import { getDriveTune, getSurfaceGrip, stepPhysics, freshVehicleState } from "./driving-physics.js";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const RUNNER_DEFAULTS = {
+    stepDt: 1 / 120,     // Physics step (s)
+    maxSubSteps: 8,      // Spiral-of-death guard per advance()
+    maxFrameDt: 0.25     // Frame dt above this is clamped (tab switch, breakpoint)
+};
+
+const NO_INPUT = { throttle: 0, steer: 0, handbrake: false, boost: false, gear: 0 };
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+function lerp(a, b, t) { return a + (b - a) * t; }
+
+function normalizeInputs(inp) {
+    return {
+        throttle: clamp(+inp.throttle || 0, -1, 1),
+        steer: clamp(+inp.steer || 0, -1, 1),
+        handbrake: !!inp.handbrake,
+        boost: !!inp.boost,
+        gear: inp.gear > 0 ? Math.round(inp.gear) : 0   // manual gear (powertrain tunes), 0 = auto
+    };
+}
+
+function sameInputs(a, b) {
+    return a.throttle === b.throttle && a.steer === b.steer
+        && a.handbrake === b.handbrake && a.boost === b.boost && (a.gear || 0) === (b.gear || 0);
+}
+
+// surface: "tarmac" | {type, grip} | (x, z) => {type, grip}
+function resolveSurface(surface, x, z) {
+    const s = typeof surface === "function" ? surface(x, z) : surface;
+    if (typeof s === "string") return { type: s, grip: getSurfaceGrip(s) };
+    const type = (s && s.type) || "tarmac";
+    return { type, grip: s && s.grip != null ? s.grip : getSurfaceGrip(type) };
+}
+
+// ============================================================
+// INPUT TIMELINES
+// ============================================================
+
+/**
+ * Input held at time t: the last keyframe with kf.t <= t (none before the first).
+ * `cursor` is an optional {i} hint for monotonic playback (O(1) per step).
+ */
+export function sampleInputs(timeline, t, cursor) {
+    if (!timeline || !timeline.length || t < timeline[0].t) return NO_INPUT;
+    let i = cursor ? Math.min(cursor.i, timeline.length - 1) : 0;
+    if (timeline[i].t > t) i = 0;
+    while (i + 1 < timeline.length && timeline[i + 1].t <= t) i++;
+    if (cursor) cursor.i = i;
+    return timeline[i];
+}
+
+/**
+ * Append a keyframe to a recording timeline, only when the inputs change.
+ * Times are snapped to the step grid so the recording replays exactly.
+ */
+export function recordInputs(timeline, t, inputs, stepDt = RUNNER_DEFAULTS.stepDt) {
+    const inp = normalizeInputs(inputs);
+    const last = timeline[timeline.length - 1];
+    if (last && sameInputs(last, inp)) return timeline;
+    const ts = Math.round(t / stepDt) * stepDt;
+    if (last && last.t >= ts) Object.assign(last, inp);
+    else timeline.push({ t: ts, ...inp });
+    return timeline;
+}
+
+// ============================================================
+// RUNNER
+// ============================================================
+
+/**
+ * opts: {car | tune, surface, x, z, heading, stepDt, maxSubSteps, maxFrameDt, debug}
+ * debug: object refilled by stepPhysics every step (intermediate values for telemetry).
+ * Returns a plain state object driven by advanceRunner()/stepRunner().
+ */
+export function createRunner(opts = {}) {
+    const tune = opts.tune || getDriveTune(opts.car || "default");
+    const body = {
+        ...freshVehicleState(),
+        heading: opts.heading || 0,
+        x: opts.x || 0, z: opts.z || 0,
+        speed: 0, localVx: 0, localVy: 0, forceY: 0,
+        frontSlip: 0, rearSlip: 0, surfaceType: "tarmac"
+    };
+    return {
+        tune,
+        surface: opts.surface || "tarmac",
+        stepDt: opts.stepDt || RUNNER_DEFAULTS.stepDt,
+        maxSubSteps: opts.maxSubSteps || RUNNER_DEFAULTS.maxSubSteps,
+        maxFrameDt: opts.maxFrameDt || RUNNER_DEFAULTS.maxFrameDt,
+        step: 0,
+        accumulator: 0,
+        prev: { ...body },
+        body,
+        lastInputs: NO_INPUT,
+        cursor: { i: 0 },
+        debug: opts.debug || null
+    };
+}
+
+export function runnerTime(runner) { return runner.step * runner.stepDt; }
+
+/** Advance exactly one physics step with the given inputs. */
+export function stepRunner(runner, inputs) {
+    const dt = runner.stepDt;
+    const b = runner.body;
+    const inp = normalizeInputs(inputs || NO_INPUT);
+    const surf = resolveSurface(runner.surface, b.x, b.z);
+    const phys = stepPhysics(dt, inp, b, runner.tune, surf.grip, surf.type, runner.debug);
+    runner.prev = { ...b };
+    Object.assign(b, phys);
+    b.x += phys.velX * dt;
+    b.z += phys.velZ * dt;
+    runner.lastInputs = inp;
+    runner.step++;
+    return b;
+}
+
+/**
+ * Feed a frame dt. Runs 0..maxSubSteps fixed steps, pulling inputs from
+ * `source` (a timeline array, or a live inputs object held for the frame),
+ * and returns the render state interpolated between the last two steps.
+ */
+export function advanceRunner(runner, frameDt, source) {
+    runner.accumulator += clamp(frameDt, 0, runner.maxFrameDt);
+    let n = 0;
+    while (runner.accumulator >= runner.stepDt && n < runner.maxSubSteps) {
+        const inp = Array.isArray(source)
+            ? sampleInputs(source, runnerTime(runner), runner.cursor)
+            : source;
+        stepRunner(runner, inp);
+        runner.accumulator -= runner.stepDt;
+        n++;
+    }
+    // Dropped time when the guard trips — keep the remainder below one step
+    if (n === runner.maxSubSteps) runner.accumulator = Math.min(runner.accumulator, runner.stepDt);
+    return renderState(runner, runner.accumulator / runner.stepDt);
+}
+
+/** Pose between the previous and current physics step (alpha 0..1). */
+export function renderState(runner, alpha) {
+    const a = runner.prev, b = runner.body, k = clamp(alpha, 0, 1);
+    return {
+        x: lerp(a.x, b.x, k),
+        z: lerp(a.z, b.z, k),
+        heading: lerp(a.heading, b.heading, k),   // heading is unwrapped, plain lerp is safe
+        steer: lerp(a.steer || 0, b.steer || 0, k),
+        velX: lerp(a.velX, b.velX, k),
+        velZ: lerp(a.velZ, b.velZ, k),
+        speed: lerp(a.speed || 0, b.speed || 0, k),
+        alpha: k
+    };
+}
+
+// ============================================================
+// HEADLESS REPLAY
+// ============================================================
+
+/**
+ * Run an input timeline for `duration` seconds (defaults to last keyframe + 1 s).
+ * opts as createRunner, plus sampleEvery (steps between trajectory samples)
+ * and onStep(runner, inputs) for maneuver scripts that need to watch state.
+ * Returns {runner, trajectory:[{t, x, z, heading, velX, velZ, angularVel, speed,
+ *          localVx, localVy, forceY, steer, surfaceType}]}.
+ */
+export function runTimeline(timeline, opts = {}) {
+    const runner = createRunner(opts);
+    const lastT = timeline && timeline.length ? timeline[timeline.length - 1].t : 0;
+    const duration = opts.duration != null ? opts.duration : lastT + 1;
+    const steps = Math.round(duration / runner.stepDt);
+    const every = Math.max(1, opts.sampleEvery || 1);
+    const trajectory = [sampleBody(runner)];
+    for (let i = 0; i < steps; i++) {
+        const inp = sampleInputs(timeline, runnerTime(runner), runner.cursor);
+        stepRunner(runner, inp);
+        if (opts.onStep && opts.onStep(runner, inp) === false) {
+            trajectory.push(sampleBody(runner));
+            break;
+        }
+        if (runner.step % every === 0) trajectory.push(sampleBody(runner));
+    }
+    return { runner, trajectory };
+}
+
+function sampleBody(runner) {
+    const b = runner.body;
+    return {
+        t: runnerTime(runner),
+        x: b.x, z: b.z, heading: b.heading,
+        velX: b.velX, velZ: b.velZ, angularVel: b.angularVel,
+        speed: b.speed, localVx: b.localVx, localVy: b.localVy,
+        forceY: b.forceY, steer: b.steer, surfaceType: b.surfaceType
+    };
+}
@@ -0,0 +1,378 @@
+/**
+ * projects.js — The project catalogue shared by the archive page (index.html) and the 3D world (ThreeJs.html).
+ *
+ * One entry per project:
+ *   {id (repo name), title, short? (billboard title when the full one is too long),
+ *    category, featured? (position in index.html's featured strip), display?,
+ *    url (live site), github, gif (file in gifs/), tech: [...], description}
+ * display is how the 3D world shows it: "billboard" (default), "hologram", "portal" or "arcade".
+ *
+ * Categories double as the 3D districts; their billboard slots live in ThreeJs.html
+ * and are filled in catalogue order, so adding a project here puts it in both pages.
+ *
+ * catalogueErrors() checks entries by hand-authoring rules (ids, URLs, gif names);
+ * pass {gifs: [file names]} to also check that each gif is actually there —
+ * presentGifs() builds that list from an existence check the page supplies.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CATEGORIES
+// ============================================================
+
+// label: archive filter name · district: 3D district name · dtClass / color: 3D prompt chip and accents
+export const PROJECT_CATEGORIES = {
+    maritime:    { label: "Maritime & Industry", district: "Port District",    dtClass: "dt-port", color: "#3eaaa2" },
+    simulations: { label: "Simulations & Viz",   district: "Science Park",     dtClass: "dt-sim",  color: "#6878cc" },
+    tools:       { label: "Tools & Utilities",   district: "Tech Hub",         dtClass: "dt-tool", color: "#d0a030" },
+    personal:    { label: "Personal & Creative", district: "Creative Village", dtClass: "dt-per",  color: "#cc6088" }
+};
+
+export const PROJECT_DISPLAYS = ["billboard", "hologram", "portal", "arcade"];
+
+// ============================================================
+// CATALOGUE
+// ============================================================
+
+export const PROJECTS = [
+    // Port District
+    {
+        id: "temp-msdt-for-review", title: "MarineStream Platform", category: "maritime", featured: 1,
+        url: "https://temp-msdt-for-review.onrender.com",
+        github: "https://github.com/Mathew-Harvey/temp-msdt-for-review",
+        gif: "temp-msdt-for-review.gif", tech: ["JavaScript", "Node.js", "PostgreSQL"],
+        description: "A comprehensive web platform for marine vessel maintenance, underwater inspection, and biofouling management — serving the Royal Australian Navy fleet and commercial operators."
+    },
+    {
+        id: "BiofoulingIdGuide", title: "Biofouling ID Guide", category: "maritime", featured: 2,
+        url: "https://mathew-harvey.github.io/BiofoulingIdGuide/",
+        github: "https://github.com/Mathew-Harvey/BiofoulingIdGuide",
+        gif: "BiofoulingIdGuide.gif", tech: ["HTML", "CSS", "JavaScript"],
+        description: "A visual field guide for identifying invasive marine species on vessel hulls, developed for commercial divers across Australia. Zero external dependencies."
+    },
+    {
+        id: "FoulingCostCalculator", title: "Fouling Cost Calculator", category: "maritime", featured: 4,
+        url: "https://mathew-harvey.github.io/FoulingCostCalculator/",
+        github: "https://github.com/Mathew-Harvey/FoulingCostCalculator",
+        gif: "FoulingCostCalculator.gif", tech: ["HTML", "JavaScript", "Chart.js"],
+        description: "Extends research from the University of Melbourne (Kevin et al., 2024) showing how even light fouling increases fuel use by 10%. Makes academic findings accessible for practical maritime decisions."
+    },
+    {
+        id: "MarineStream-Workspace", title: "MarineStream Workspace", category: "maritime",
+        url: "https://MarineStream-Workspace.onrender.com",
+        github: "https://github.com/Mathew-Harvey/MarineStream-Workspace",
+        gif: "MarineStream-Workspace.gif", tech: ["Node.js", "Express", "PostgreSQL", "WebSocket", "Mapbox"],
+        description: "Unified maritime biofouling management portal with real-time fleet tracking, job management, and operational dashboards."
+    },
+    {
+        id: "MarineStreamLandingPage", title: "MarineStream Landing Page", short: "MarineStream Landing", category: "maritime",
+        url: "https://mathew-harvey.github.io/MarineStreamLandingPage/",
+        github: "https://github.com/Mathew-Harvey/MarineStreamLandingPage",
+        gif: "MarineStreamLandingPage.gif", tech: ["HTML", "CSS", "JavaScript"],
+        description: "Digital multi-party vessel maintenance platform landing page with responsive design and contact form."
+    },
+    {
+        id: "MarineStream", title: "MarineStream", short: "MarineStream App", category: "maritime",
+        url: "https://mathew-harvey.github.io/MarineStream/",
+        github: "https://github.com/Mathew-Harvey/MarineStream",
+        gif: "MarineStream.gif", tech: ["HTML"],
+        description: "MarineStream product showcase and information portal."
+    },
+    {
+        id: "Document-Generator", title: "BFMP Document Generator", short: "BFMP Doc Generator", category: "maritime",
+        url: "https://mathew-harvey.github.io/Document-Generator/",
+        github: "https://github.com/Mathew-Harvey/Document-Generator",
+        gif: "Document-Generator.gif", tech: ["JavaScript", "Handlebars"],
+        description: "Biofouling Management Plan (BFMP) generator for maritime compliance documentation."
+    },
+    {
+        id: "TheHullTruth", title: "The Hull Truth", category: "maritime",
+        url: "https://mathew-harvey.github.io/TheHullTruth/",
+        github: "https://github.com/Mathew-Harvey/TheHullTruth",
+        gif: "TheHullTruth.gif", tech: ["HTML", "JavaScript"],
+        description: "Interactive calculator visualizing the impact of hull fouling on vessel fuel consumption and costs, based on 2024 University of Melbourne research."
+    },
+    {
+        id: "CleanHullsClearWaters", title: "Clean Hulls, Clear Waters", short: "Clean Hulls Clear Waters", category: "maritime",
+        url: "https://mathew-harvey.github.io/CleanHullsClearWaters/",
+        github: "https://github.com/Mathew-Harvey/CleanHullsClearWaters",
+        gif: "CleanHullsClearWaters.gif", tech: ["HTML"],
+        description: "Educational resource on hull maintenance and marine biosecurity."
+    },
+    // Science Park
+    {
+        id: "3dShip", title: "3D Ship Visualization", category: "simulations", featured: 3, display: "hologram",
+        url: "https://mathew-harvey.github.io/3dShip/",
+        github: "https://github.com/Mathew-Harvey/3dShip",
+        gif: "3dShip.gif", tech: ["Three.js", "JavaScript", "WebGL"],
+        description: "Interactive 3D ship model rendered in the browser using Three.js — explore vessel anatomy with orbit controls, lighting, and realistic materials."
+    },
+    {
+        id: "AgenticBubbleSort", title: "Agentic Bubble Sort", category: "simulations", display: "hologram",
+        url: "https://mathew-harvey.github.io/AgenticBubbleSort/",
+        github: "https://github.com/Mathew-Harvey/AgenticBubbleSort",
+        gif: "AgenticBubbleSort.gif", tech: ["HTML", "JavaScript"],
+        description: "Inspired by Michael Levin's work on basal cognition — a bubble sort that adapts to different 'personality types,' demonstrating goal-directed behavior through local interactions."
+    },
+    {
+        id: "AntSimulator", title: "Ant Simulator", category: "simulations", display: "portal",
+        url: "https://mathew-harvey.github.io/AntSimulator/",
+        github: "https://github.com/Mathew-Harvey/AntSimulator",
+        gif: "AntSimulator.gif", tech: ["HTML", "JavaScript"],
+        description: "An interactive ant colony simulation exploring emergent behavior through pheromone trails and swarm intelligence."
+    },
+    {
+        id: "Artificial-Life", title: "Artificial Life", category: "simulations", display: "portal",
+        url: "https://mathew-harvey.github.io/Artificial-Life/",
+        github: "https://github.com/Mathew-Harvey/Artificial-Life",
+        gif: "Artificial-Life.gif", tech: ["JavaScript", "Canvas"],
+        description: "Browser-based particle life simulation exploring emergent behavior through attraction and repulsion forces between colored particle groups."
+    },
+    {
+        id: "CancerSimulator", title: "Cancer Simulator", category: "simulations", display: "hologram",
+        url: "https://mathew-harvey.github.io/CancerSimulator/",
+        github: "https://github.com/Mathew-Harvey/CancerSimulator",
+        gif: "CancerSimulator.gif", tech: ["HTML", "JavaScript"],
+        description: "Interactive bioelectric cancer simulation based on Dr. Michael Levin's research framework."
+    },
+    {
+        id: "GameOfLife", title: "Game of Life", category: "simulations", display: "portal",
+        url: "https://mathew-harvey.github.io/GameOfLife/",
+        github: "https://github.com/Mathew-Harvey/GameOfLife",
+        gif: "GameOfLife.gif", tech: ["HTML", "JavaScript"],
+        description: "Conway's Game of Life implemented in the browser with adjustable parameters and preset patterns."
+    },
+    {
+        id: "One-Human-Life-React", title: "One Human Life", category: "simulations", display: "hologram",
+        url: "https://mathew-harvey.github.io/One-Human-Life-React/",
+        github: "https://github.com/Mathew-Harvey/One-Human-Life-React",
+        gif: "One-Human-Life-React.gif", tech: ["React", "JavaScript"],
+        description: "Visualization of a human lifespan in weeks — a grid of colored cells based on your age, making time tangible."
+    },
+    {
+        id: "Moltbook-Throng", title: "Moltbook Throng", category: "simulations", display: "portal",
+        url: "https://mathew-harvey.github.io/Moltbook-Throng/",
+        github: "https://github.com/Mathew-Harvey/Moltbook-Throng",
+        gif: "Moltbook-Throng.gif", tech: ["HTML", "JavaScript"],
+        description: "Real-time AI agent visualization — animated pixel creatures representing different AI models interacting across communities."
+    },
+    {
+        id: "A-New-Framework-for-Understanding-Consciousness", title: "Consciousness Framework", category: "simulations", display: "hologram",
+        url: "https://mathew-harvey.github.io/A-New-Framework-for-Understanding-Consciousness/",
+        github: "https://github.com/Mathew-Harvey/A-New-Framework-for-Understanding-Consciousness",
+        gif: "A-New-Framework-for-Understanding-Consciousness.gif", tech: ["HTML"],
+        description: "Recursive Observation and Biochemical Weighting — an interactive exploration of a new framework for understanding consciousness."
+    },
+    {
+        id: "StagesOfMind", title: "Stages of Mind", category: "simulations", display: "hologram",
+        url: "https://mathew-harvey.github.io/StagesOfMind/",
+        github: "https://github.com/Mathew-Harvey/StagesOfMind",
+        gif: "StagesOfMind.gif", tech: ["HTML", "CSS"],
+        description: "Explore cognitive expansion through seven developmental stages based on Robert Kegan's and Joscha Bach's frameworks."
+    },
+    // Tech Hub
+    {
+        id: "BlurredPhotos", title: "Blurred Photos", category: "tools",
+        url: "https://mathew-harvey.github.io/BlurredPhotos/",
+        github: "https://github.com/Mathew-Harvey/BlurredPhotos",
+        gif: "BlurredPhotos.gif", tech: ["C#", "ASP.NET", "JavaScript"],
+        description: "Simple web application to blur photos with a C# ASP.NET Core backend."
+    },
+    {
+        id: "SimpleImageComression", title: "Image Compressor", category: "tools",
+        url: "https://mathew-harvey.github.io/SimpleImageComression/",
+        github: "https://github.com/Mathew-Harvey/SimpleImageComression",
+        gif: "SimpleImageComression.gif", tech: ["HTML", "JavaScript"],
+        description: "Browser-based bulk image compressor — compresses images to ~300KB and packages them into a ZIP file. Fully local."
+    },
+    {
+        id: "FormSync", title: "FormSync", category: "tools",
+        url: "https://mathew-harvey.github.io/FormSync/",
+        github: "https://github.com/Mathew-Harvey/FormSync",
+        gif: "FormSync.gif", tech: ["JavaScript"],
+        description: "Collaborative form concept with integrated video sharing capabilities."
+    },
+    {
+        id: "NetConnectionMonitor", title: "Net Connection Monitor", category: "tools",
+        url: "https://mathew-harvey.github.io/NetConnectionMonitor/",
+        github: "https://github.com/Mathew-Harvey/NetConnectionMonitor",
+        gif: "NetConnectionMonitor.gif", tech: ["HTML", "JavaScript"],
+        description: "Monitor your internet connection quality over time with visual graphs and alerts."
+    },
+    {
+        id: "VrSimRacingCalc", title: "VR Sim Racing Calculator", short: "VR Sim Racing Calc", category: "tools",
+        url: "https://mathew-harvey.github.io/VrSimRacingCalc/",
+        github: "https://github.com/Mathew-Harvey/VrSimRacingCalc",
+        gif: "VrSimRacingCalc.gif", tech: ["HTML", "JavaScript"],
+        description: "Calculator for modeling GPU requirements for VR sim racing setups."
+    },
+    {
+        id: "WebDiskAnalyser", title: "Web Disk Analyser", category: "tools",
+        url: "https://mathew-harvey.github.io/WebDiskAnalyser/",
+        github: "https://github.com/Mathew-Harvey/WebDiskAnalyser",
+        gif: "WebDiskAnalyser.gif", tech: ["HTML", "JavaScript"],
+        description: "Browser-based disk usage analyzer for visualizing file system space allocation."
+    },
+    {
+        id: "DocumentEngine", title: "Document Engine", category: "tools",
+        url: "https://mathew-harvey.github.io/DocumentEngine/",
+        github: "https://github.com/Mathew-Harvey/DocumentEngine",
+        gif: "DocumentEngine.gif", tech: ["HTML", "JavaScript"],
+        description: "A document generation engine for creating structured, template-based documents."
+    },
+    // Creative Village
+    {
+        id: "FPVTrackPlanner", title: "FPV Track Planner", category: "personal", featured: 5, display: "arcade",
+        url: "https://mathew-harvey.github.io/FPVTrackPlanner/",
+        github: "https://github.com/Mathew-Harvey/FPVTrackPlanner",
+        gif: "FPVTrackPlanner.gif", tech: ["Three.js", "JavaScript", "WebGL"],
+        description: "A 3D track designer for FPV drone racing — build gates, obstacles, and racing lines in a WebGL environment with real-world scale."
+    },
+    {
+        id: "CatTranslator", title: "Cat Translator", category: "personal", display: "arcade",
+        url: "https://mathew-harvey.github.io/CatTranslator/",
+        github: "https://github.com/Mathew-Harvey/CatTranslator",
+        gif: "CatTranslator.gif", tech: ["HTML", "Web Audio"],
+        description: "Plays real cat vocalizations to help you communicate with your cat. Science-adjacent and delightful."
+    },
+    {
+        id: "ElodieBook_One", title: "Elodie's Book: Chapter One", short: "Elodie Book One", category: "personal",
+        url: "https://mathew-harvey.github.io/ElodieBook_One/",
+        github: "https://github.com/Mathew-Harvey/ElodieBook_One",
+        gif: "ElodieBook_One.gif", tech: ["HTML", "CSS", "JavaScript"],
+        description: "Interactive digital storybook about a tawny frogmouth owl making snake stew, featuring AI-generated illustrations and page-turning animations."
+    },
+    {
+        id: "ElodieBook_Two", title: "Elodie's Book: Chapter Two", short: "Elodie Book Two", category: "personal",
+        url: "https://mathew-harvey.github.io/ElodieBook_Two/",
+        github: "https://github.com/Mathew-Harvey/ElodieBook_Two",
+        gif: "ElodieBook_Two.gif", tech: ["HTML", "CSS", "JavaScript"],
+        description: "Interactive digital children's storybook with page-turning animations — created from a handwritten story by a 6-year-old."
+    },
+    {
+        id: "ExtremeLimitFilms", title: "Extreme Limit Films", category: "personal",
+        url: "https://mathew-harvey.github.io/ExtremeLimitFilms/",
+        github: "https://github.com/Mathew-Harvey/ExtremeLimitFilms",
+        gif: "ExtremeLimitFilms.gif", tech: ["HTML", "CSS"],
+        description: "Homepage for Extreme Limit Films production company."
+    },
+    {
+        id: "FamilyHiking", title: "Family Hiking", category: "personal",
+        url: "https://mathew-harvey.github.io/FamilyHiking/",
+        github: "https://github.com/Mathew-Harvey/FamilyHiking",
+        gif: "FamilyHiking.gif", tech: ["HTML", "Tailwind", "Leaflet.js"],
+        description: "A family hiking adventure website for the Bibbulmun Track in Western Australia with interactive maps."
+    },
+    {
+        id: "KoiRunner", title: "Koi Runner", category: "personal", display: "arcade",
+        url: "https://mathew-harvey.github.io/KoiRunner/",
+        github: "https://github.com/Mathew-Harvey/KoiRunner",
+        gif: "KoiRunner.gif", tech: ["HTML", "Canvas", "JavaScript"],
+        description: "Endless runner game — control a koi fish swimming through an underwater environment, avoiding obstacles and collecting larvae."
+    },
+    {
+        id: "JapanItinery", title: "Japan Itinerary", category: "personal",
+        url: "https://mathew-harvey.github.io/JapanItinery/",
+        github: "https://github.com/Mathew-Harvey/JapanItinery",
+        gif: "JapanItinery.gif", tech: ["JavaScript"],
+        description: "Mobile-first itinerary planner for a 4-day Tokyo family trip with translation tools, currency conversion, and dark mode."
+    },
+    {
+        id: "WestCoastMultiRotorClub", title: "West Coast Multi Rotor Club", short: "WC MultiRotor Club", category: "personal",
+        url: "https://mathew-harvey.github.io/WestCoastMultiRotorClub/",
+        github: "https://github.com/Mathew-Harvey/WestCoastMultiRotorClub",
+        gif: "WestCoastMultiRotorClub.gif", tech: ["HTML", "CSS", "JavaScript"],
+        description: "Drone racing club website for Western Australia."
+    },
+    {
+        id: "VirtualPropertyTour", title: "Virtual Property Tour", category: "personal", display: "portal",
+        url: "https://mathew-harvey.github.io/VirtualPropertyTour/",
+        github: "https://github.com/Mathew-Harvey/VirtualPropertyTour",
+        gif: "VirtualPropertyTour.gif", tech: ["HTML", "JavaScript"],
+        description: "An immersive virtual property tour experience built for the web."
+    },
+    {
+        id: "Mat-Portfolio-2025", title: "Portfolio 2025", category: "personal", display: "hologram",
+        url: "https://mathew-harvey.github.io/Mat-Portfolio-2025/",
+        github: "https://github.com/Mathew-Harvey/Mat-Portfolio-2025",
+        gif: "Mat-Portfolio-2025.gif", tech: ["HTML", "CSS"],
+        description: "Previous iteration of this portfolio, designed and written by Claude AI."
+    },
+    {
+        id: "HouseSitter", title: "House Sitter Guide", category: "personal",
+        url: "https://mathew-harvey.github.io/HouseSitter/",
+        github: "https://github.com/Mathew-Harvey/HouseSitter",
+        gif: "HouseSitter.gif", tech: ["HTML", "CSS"],
+        description: "Comprehensive house & pet sitting guide — emergency contacts, pet care, schedules, and local info."
+    },
+    {
+        id: "SkyePortfolio", title: "Skye's Portfolio", short: "Skye Portfolio", category: "personal", display: "arcade",
+        url: "https://mathew-harvey.github.io/SkyePortfolio/",
+        github: "https://github.com/Mathew-Harvey/SkyePortfolio",
+        gif: "SkyePortfolio.gif", tech: ["HTML", "CSS"],
+        description: "A portfolio website built for Skye."
+    },
+    {
+        id: "MyStuffHere", title: "My Stuff", category: "personal",
+        url: "https://mathew-harvey.github.io/MyStuffHere/",
+        github: "https://github.com/Mathew-Harvey/MyStuffHere",
+        gif: "MyStuffHere.gif", tech: ["JavaScript"],
+        description: "A curated collection of software projects."
+    },
+    {
+        id: "OnlyPrints", title: "Only Prints", category: "personal",
+        url: "https://mathew-harvey.github.io/OnlyPrints/",
+        github: "https://github.com/Mathew-Harvey/OnlyPrints",
+        gif: "OnlyPrints.gif", tech: ["HTML"],
+        description: "A print-focused web project built for Tim."
+    }
+];
+
+// ============================================================
+// VALIDATION
+// ============================================================
+
+const isUrl = v => typeof v === "string" && /^https?:\/\/[^\s/]+\.[^\s]+$/.test(v);
+
+/** Catalogue problems as strings (empty when valid). opts.gifs: file names present in gifs/. */
+export function catalogueErrors(projects = PROJECTS, opts = {}) {
+    const errs = [], ids = new Set(), ranks = new Set();
+    const gifs = opts.gifs ? new Set(opts.gifs) : null;
+    for (const p of projects) {
+        const who = p.id || p.title || "?";
+        if (!p.id || !p.title) errs.push(`${who}: needs id and title`);
+        if (ids.has(p.id)) errs.push(`${who}: duplicate id`);
+        ids.add(p.id);
+        if (!PROJECT_CATEGORIES[p.category]) errs.push(`${who}: unknown category "${p.category}"`);
+        if (!isUrl(p.url)) errs.push(`${who}: missing or bad url`);
+        if (p.github !== undefined && !isUrl(p.github)) errs.push(`${who}: bad github url`);
+        if (!p.gif) errs.push(`${who}: missing gif`);
+        else if (!/^[^/\\]+\.gif$/i.test(p.gif)) errs.push(`${who}: gif should be a .gif file name in gifs/ ("${p.gif}")`);
+        else if (gifs && !gifs.has(p.gif)) errs.push(`${who}: gifs/${p.gif} not found`);
+        if (p.display !== undefined && !PROJECT_DISPLAYS.includes(p.display)) errs.push(`${who}: unknown display "${p.display}"`);
+        if (p.featured !== undefined) {
+            if (!Number.isInteger(p.featured) || p.featured < 1) errs.push(`${who}: featured should be a position (1, 2, ...)`);
+            else if (ranks.has(p.featured)) errs.push(`${who}: featured position ${p.featured} used twice`);
+            ranks.add(p.featured);
+        }
+        if (p.tech !== undefined && !(Array.isArray(p.tech) && p.tech.every(t => typeof t === "string"))) errs.push(`${who}: tech should be a list of names`);
+        if (typeof p.description !== "string" || !p.description) errs.push(`${who}: missing description`);
+    }
+    return errs;
+}
+
+/**
+ * Gif file names that `exists("gifs/<name>")` confirms (it returns a promise of true / false),
+ * ready for catalogueErrors(projects, {gifs}).
+ */
+export async function presentGifs(projects = PROJECTS, exists) {
+    const names = [...new Set(projects.map(p => p.gif).filter(Boolean))];
+    const found = await Promise.all(names.map(g => Promise.resolve(exists("gifs/" + g)).catch(() => false)));
+    return names.filter((g, i) => found[i]);
+}
+
+/** Entries of one category, in catalogue order (the 3D district's billboard order). */
+export function projectsIn(category, projects = PROJECTS) {
+    return projects.filter(p => p.category === category);
+}
@@ -0,0 +1,251 @@
+/**
+ * quest-engine.js — Declarative quests: typed objectives, steps, prerequisites and rewards.
+ *
+ * A quest definition is plain data:
+ *   {id, title, giver, desc, requires?, steps: [{text, objectives: [...]}],
+ *    rewards: [{type: "car" | "item" | "achievement", id}], rewardText, dialog?: {active, complete}}
+ * (`objectives` + `objectiveText` on the quest itself is shorthand for a single step.)
+ *
+ * requires is a prerequisite expression:
+ *   "id"            — that quest is done
+ *   [a, b] / {all}  — every branch holds
+ *   {any: [...]}    — at least one branch holds
+ *   {not: "id"}     — that quest was never taken (locks the other side of a fork)
+ *
+ * Objectives are measured from a facts snapshot the game builds each frame:
+ *   {visited: [{t, district}] (billboards seen, by title), speedKmh, orbs, gates, pos: {x, z},
+ *    drift: {track, score} (current session), lap: {track, time} (last completed lap)}
+ * Running values (top speed, best drift, best lap, places reached) latch per step, and
+ * billboard visits are counted against the ones already seen when the step began (its
+ * baseline), so a quest only counts what happened after it was accepted.
+ *
+ * Progress is a small serialisable object: {v, quests: {id: {status, step, progress, base}}}.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const QUEST_SAVE_VERSION = 1;
+
+// locked → available → active → complete (objectives met, reward unclaimed) → done
+export const QUEST_STATUSES = ["locked", "available", "active", "complete", "done"];
+
+const fmtTime = s => (isFinite(s) ? s.toFixed(2) + "s" : "—");
+
+// measure(o, facts, prev, base) → new value; done(o, v); text(o) checklist label; count: shows "n / target";
+// baseline(o, facts): what was already there when the step began (taken on its first evaluation)
+const visitedIn = (o, f) => (f.visited || []).filter(p => !o.district || p.district === o.district);
+export const OBJECTIVE_TYPES = {
+    visit: {
+        fresh: 0, count: o => o.count,
+        baseline: (o, f) => visitedIn(o, f).map(p => p.t),
+        measure: (o, f, prev, base) => Math.max(prev || 0, visitedIn(o, f).filter(p => !base.includes(p.t)).length),
+        done: (o, v) => v >= o.count,
+        text: o => o.text || `Visit ${o.count} billboard${o.count === 1 ? "" : "s"}${o.district ? " in " + (o.districtName || o.district) : ""}`
+    },
+    speed: {
+        fresh: 0,
+        measure: (o, f, prev) => Math.max(prev || 0, f.speedKmh || 0),
+        done: (o, v) => v >= o.kmh,
+        text: o => o.text || `Reach ${o.kmh} km/h`
+    },
+    drift: {
+        fresh: 0,
+        measure: (o, f, prev) => Math.max(prev || 0, f.drift && (!o.track || f.drift.track === o.track) ? f.drift.score : 0),
+        done: (o, v) => v >= o.points,
+        text: o => o.text || `Score ${o.points.toLocaleString()} drift points${o.trackName ? " on " + o.trackName : ""}`
+    },
+    lap: {
+        fresh: null,   // best lap since accepting (JSON has no Infinity)
+        measure: (o, f, prev) => {
+            if (!f.lap || (o.track && f.lap.track !== o.track) || !(f.lap.time > 0)) return prev;
+            return prev == null ? f.lap.time : Math.min(prev, f.lap.time);
+        },
+        done: (o, v) => v != null && v <= o.time,
+        text: o => o.text || `Lap ${o.trackName || "the circuit"} under ${fmtTime(o.time)}`
+    },
+    orbs: {
+        fresh: 0, count: o => o.count,
+        measure: (o, f) => f.orbs || 0,
+        done: (o, v) => v >= o.count,
+        text: o => o.text || `Collect ${o.count} orbs`
+    },
+    reach: {
+        fresh: 0,
+        measure: (o, f, prev) => (prev || (f.pos && Math.hypot(f.pos.x - o.x, f.pos.z - o.z) <= (o.radius || 8)) ? 1 : 0),
+        done: (o, v) => v >= 1,
+        text: o => o.text || `Reach ${o.label || "the marker"}`
+    },
+    gates: {
+        fresh: 0, count: o => o.count,
+        measure: (o, f) => f.gates || 0,
+        done: (o, v) => v >= o.count,
+        text: o => o.text || `Drive through all ${o.count} gates`
+    }
+};
+
+// ============================================================
+// DEFINITIONS
+// ============================================================
+
+/** Steps of a definition (single-step shorthand expanded). */
+export function questSteps(def) {
+    return def.steps || [{ text: def.objectiveText, objectives: def.objectives || [] }];
+}
+
+/** Definition problems as strings (empty when valid) — for data authored by hand. */
+export function questDefErrors(defs) {
+    const errs = [], ids = new Set(defs.map(d => d.id));
+    const refs = req => (typeof req === "string" ? [req] : Array.isArray(req) ? req.flatMap(refs)
+        : req ? [req.all, req.any, req.not].filter(Boolean).flatMap(refs) : []);
+    for (const d of defs) {
+        if (!d.id || !d.giver) errs.push(`${d.id || "?"}: needs id and giver`);
+        for (const r of refs(d.requires)) if (!ids.has(r)) errs.push(`${d.id}: unknown prerequisite "${r}"`);
+        questSteps(d).forEach((s, i) => s.objectives.forEach(o => {
+            if (!OBJECTIVE_TYPES[o.type]) errs.push(`${d.id} step ${i + 1}: unknown objective "${o.type}"`);
+        }));
+        for (const r of d.rewards || []) if (!["car", "item", "achievement"].includes(r.type)) errs.push(`${d.id}: unknown reward "${r.type}"`);
+    }
+    return errs;
+}
+
+// ============================================================
+// STATE
+// ============================================================
+
+function freshProgress(step) {
+    return step ? step.objectives.map(o => OBJECTIVE_TYPES[o.type].fresh) : [];
+}
+
+/** Progress for `defs`, merged with a saved blob (unknown quests dropped, bad entries reset). */
+export function freshQuestState(defs, saved) {
+    const qs = { v: QUEST_SAVE_VERSION, quests: {} };
+    const old = saved && saved.v === QUEST_SAVE_VERSION && saved.quests ? saved.quests : {};
+    for (const d of defs) {
+        const s = old[d.id], steps = questSteps(d);
+        if (s && QUEST_STATUSES.includes(s.status) && s.step >= 0 && s.step < steps.length) {
+            const n = steps[s.step].objectives.length;
+            const progress = Array.isArray(s.progress) && s.progress.length === n ? s.progress.slice() : freshProgress(steps[s.step]);
+            // A save without a baseline takes one on the next evaluation (progress so far is kept)
+            const base = Array.isArray(s.base) && s.base.length === n ? s.base.slice() : null;
+            qs.quests[d.id] = { status: s.status, step: s.step, progress, base };
+        } else qs.quests[d.id] = { status: "locked", step: 0, progress: [], base: null };
+    }
+    refreshQuests(defs, qs);
+    return qs;
+}
+
+function taken(qs, id) {
+    const st = qs.quests[id] && qs.quests[id].status;
+    return st === "active" || st === "complete" || st === "done";
+}
+
+export function prereqMet(req, qs) {
+    if (!req) return true;
+    if (typeof req === "string") return !!qs.quests[req] && qs.quests[req].status === "done";
+    if (Array.isArray(req)) return req.every(r => prereqMet(r, qs));
+    if (req.all) return req.all.every(r => prereqMet(r, qs));
+    if (req.any) return req.any.some(r => prereqMet(r, qs));
+    if (req.not) return !taken(qs, req.not);
+    return true;
+}
+
+/** Open (or re-lock) quests whose prerequisites changed. Returns ids that became available. */
+export function refreshQuests(defs, qs) {
+    const opened = [];
+    for (const d of defs) {
+        const s = qs.quests[d.id];
+        if (s.status === "locked" && prereqMet(d.requires, qs)) { s.status = "available"; opened.push(d.id); }
+        else if (s.status === "available" && !prereqMet(d.requires, qs)) s.status = "locked";
+    }
+    return opened;
+}
+
+export function acceptQuest(defs, qs, id) {
+    const d = defs.find(q => q.id === id), s = qs.quests[id];
+    if (!d || !s || s.status !== "available") return false;
+    s.status = "active"; s.step = 0; s.progress = freshProgress(questSteps(d)[0]); s.base = null;
+    refreshQuests(defs, qs);
+    return true;
+}
+
+/**
+ * Measure every active quest against `facts`.
+ * Returns events: {type: "progress", id, index, value} for counted objectives that moved,
+ * {type: "step", id, step} when a step is finished and the next begins,
+ * {type: "complete", id} when the last step is finished (reward waits for the giver).
+ */
+export function evaluateQuests(defs, qs, facts) {
+    const events = [];
+    for (const d of defs) {
+        const s = qs.quests[d.id];
+        if (s.status !== "active") continue;
+        const steps = questSteps(d), step = steps[s.step];
+        let all = true;
+        if (!s.base) s.base = step.objectives.map(o => (OBJECTIVE_TYPES[o.type].baseline ? OBJECTIVE_TYPES[o.type].baseline(o, facts) : null));
+        step.objectives.forEach((o, i) => {
+            const T = OBJECTIVE_TYPES[o.type], v = T.measure(o, facts, s.progress[i], s.base[i]);
+            if (v !== s.progress[i]) {
+                if (T.count && v > (s.progress[i] || 0)) events.push({ type: "progress", id: d.id, index: i, value: v });
+                s.progress[i] = v;
+            }
+            if (!T.done(o, v)) all = false;
+        });
+        if (!all) continue;
+        if (s.step + 1 < steps.length) {
+            s.step++; s.progress = freshProgress(steps[s.step]); s.base = null;
+            events.push({ type: "step", id: d.id, step: s.step });
+        } else {
+            s.status = "complete";
+            events.push({ type: "complete", id: d.id });
+        }
+    }
+    return events;
+}
+
+/** Hand in a complete quest. Returns its rewards (empty array if none), or null if not claimable. */
+export function claimQuest(defs, qs, id) {
+    const d = defs.find(q => q.id === id), s = qs.quests[id];
+    if (!d || !s || s.status !== "complete") return null;
+    s.status = "done";
+    refreshQuests(defs, qs);
+    return d.rewards || [];
+}
+
+// ============================================================
+// QUERIES
+// ============================================================
+
+/** The quest a giver should talk about: unclaimed first, then a new offer, then one in progress. */
+export function questForGiver(defs, qs, giver) {
+    for (const st of ["complete", "available", "active"]) {
+        const d = defs.find(q => q.giver === giver && qs.quests[q.id].status === st);
+        if (d) return d;
+    }
+    return null;
+}
+
+export function questsWithStatus(defs, qs, status) {
+    return defs.filter(d => qs.quests[d.id].status === status);
+}
+
+/** Checklist rows for the current step: [{type, text, value, done, count}] (count = target for counted types). */
+export function objectiveRows(def, qs) {
+    const s = qs.quests[def.id], step = questSteps(def)[s.step];
+    if (!step) return [];
+    return step.objectives.map((o, i) => {
+        const T = OBJECTIVE_TYPES[o.type], v = s.progress[i] ?? T.fresh;
+        return { type: o.type, objective: o, text: T.text(o), value: v, done: s.status !== "active" || T.done(o, v), count: T.count ? T.count(o) : 0 };
+    });
+}
+
+export function allQuestsDone(defs, qs) {
+    return defs.every(d => qs.quests[d.id].status === "done");
+}
+
+export function serializeQuests(qs) {
+    return JSON.stringify(qs);
+}
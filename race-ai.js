@@ -0,0 +1,262 @@
+/**
+ * race-ai.js — AI drivers for circuit races, built on driving-physics.js.
+ *
+ * The AI only produces inputs ({throttle, steer, handbrake, boost}); the car
+ * itself is integrated by stepPhysics with the same tune as the player, so an
+ * opponent never gets extra grip or speed. Difficulty only changes how close
+ * to the limit the driver commits:
+ *   - Racing line: closed track pts (tr.pts) → arc length, tangents, curvature
+ *   - Speed profile: corner speed from curvature, braking points from a
+ *     backward pass at the difficulty's braking g (cached per difficulty)
+ *   - Driver: pure-pursuit steering on a speed-scaled look-ahead point, throttle
+ *     and brake toward the profile scaled by surface grip, lift on slides,
+ *     reverse-out recovery when stuck or facing the wrong way after contact
+ *   - Progress: lap counting across the start line and race order
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+import { DRIVE_PHYSICS } from "./driving-physics.js";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const AI_DIFFICULTY = {
+    easy: {
+        cornerG: 0.38,       // Lateral g the speed profile plans for (the tunes break away past ~0.52)
+        brakeG: 0.45,        // Deceleration used to place braking points
+        throttleMax: 0.8,
+        lookAhead: 0.55,     // Steering look-ahead (s of travel, min 6 m)
+        brakeLead: 0.45,     // How far ahead (s) the driver reads the profile
+        steerGain: 1.6,
+        slipLift: 0.18       // Slip ratio where the driver lifts
+    },
+    medium: {
+        cornerG: 0.44, brakeG: 0.58, throttleMax: 0.92,
+        lookAhead: 0.5, brakeLead: 0.4, steerGain: 1.9, slipLift: 0.22
+    },
+    hard: {
+        cornerG: 0.5, brakeG: 0.72, throttleMax: 1,
+        lookAhead: 0.45, brakeLead: 0.35, steerGain: 2.2, slipLift: 0.26
+    }
+};
+
+const AI_TUNING = {
+    minLook: 6,              // m
+    minAim: 14,              // m — about twice the full-lock turning radius
+    maxCornerSpeed: 80,      // m/s cap on straights (physics caps the car itself)
+    stuckSpeed: 1.5,         // m/s
+    stuckTime: 1.2,          // s below stuckSpeed (or facing backwards) before reversing
+    recoverTime: 1.1,        // s of reversing
+    wrongWay: 1.9,           // rad heading error counted as facing the wrong way
+    searchBack: 8,           // Line points searched behind the last index
+    searchAhead: 24,         // ...and ahead of it
+    relocate: 30,            // m off the line before a full re-search
+    overshoot: 0.7,          // rad aim error that triggers braking
+    yawDamp: 0.25            // steer per rad/s of yaw rate
+};
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+
+function wrapAngle(a) {
+    while (a > Math.PI) a -= Math.PI * 2;
+    while (a < -Math.PI) a += Math.PI * 2;
+    return a;
+}
+
+// ============================================================
+// RACING LINE
+// ============================================================
+
+/**
+ * pts: closed loop [[x, z], ...] (prepTrack's tr.pts).
+ * Returns {pts, n, s (arc length at each point), length, tx/tz (unit tangents), curv, profiles}.
+ */
+export function buildRacingLine(pts) {
+    const n = pts.length;
+    const s = new Array(n), tx = new Array(n), tz = new Array(n), curv = new Array(n);
+    let acc = 0;
+    for (let i = 0; i < n; i++) {
+        s[i] = acc;
+        const j = (i + 1) % n;
+        acc += Math.hypot(pts[j][0] - pts[i][0], pts[j][1] - pts[i][1]);
+    }
+    for (let i = 0; i < n; i++) {
+        const a = pts[(i - 2 + n) % n], b = pts[i], c = pts[(i + 2) % n];
+        const dx = c[0] - a[0], dz = c[1] - a[1], l = Math.hypot(dx, dz) || 1;
+        tx[i] = dx / l; tz[i] = dz / l;
+        // Menger curvature of the (i-2, i, i+2) triangle — smooths sample noise
+        const ab = Math.hypot(b[0] - a[0], b[1] - a[1]), bc = Math.hypot(c[0] - b[0], c[1] - b[1]);
+        const cross = (b[0] - a[0]) * (c[1] - b[1]) - (b[1] - a[1]) * (c[0] - b[0]);
+        curv[i] = ab * bc * l > 1e-6 ? Math.abs(2 * cross) / (ab * bc * l) : 0;
+    }
+    return { pts, n, s, length: acc, tx, tz, curv, profiles: {} };
+}
+
+/** Point on the line at arc length d (wraps), offset `lane` metres to the right. */
+export function linePointAt(line, d, lane = 0) {
+    const L = line.length;
+    d = ((d % L) + L) % L;
+    let lo = 0, hi = line.n - 1;
+    while (lo < hi) { const mid = (lo + hi + 1) >> 1; if (line.s[mid] <= d) lo = mid; else hi = mid - 1; }
+    const j = (lo + 1) % line.n, seg = (j ? line.s[j] : L) - line.s[lo];
+    const k = seg > 0 ? (d - line.s[lo]) / seg : 0;
+    const a = line.pts[lo], b = line.pts[j];
+    return {
+        x: a[0] + (b[0] - a[0]) * k - line.tz[lo] * lane,
+        z: a[1] + (b[1] - a[1]) * k + line.tx[lo] * lane,
+        idx: lo
+    };
+}
+
+/**
+ * Target speed (m/s) at every line point for a difficulty on grip 1.0:
+ * v = sqrt(cornerG·g / curvature), then braking points from v² = v_next² + 2·a·ds.
+ */
+export function speedProfile(line, diff) {
+    const key = `${diff.cornerG}/${diff.brakeG}`;
+    if (line.profiles[key]) return line.profiles[key];
+    const G = DRIVE_PHYSICS.gravity, n = line.n;
+    const v = line.curv.map(c => Math.min(AI_TUNING.maxCornerSpeed, Math.sqrt(diff.cornerG * G / Math.max(c, 1e-4))));
+    // Two backward passes so braking zones carry across the start line
+    for (let pass = 0; pass < 2; pass++) {
+        for (let i = n - 1; i >= 0; i--) {
+            const j = (i + 1) % n, ds = (j ? line.s[j] : line.length) - line.s[i];
+            v[i] = Math.min(v[i], Math.sqrt(v[j] * v[j] + 2 * diff.brakeG * G * ds));
+        }
+    }
+    line.profiles[key] = v;
+    return v;
+}
+
+// ============================================================
+// PROGRESS TRACKING (AI and player alike)
+// ============================================================
+
+function nearestIndex(line, x, z, hint) {
+    const n = line.n, pts = line.pts;
+    let best = -1, bestD = Infinity;
+    const scan = (from, to) => {
+        for (let k = from; k <= to; k++) {
+            const i = ((k % n) + n) % n, d = Math.hypot(pts[i][0] - x, pts[i][1] - z);
+            if (d < bestD) { bestD = d; best = i; }
+        }
+    };
+    if (hint >= 0) scan(hint - AI_TUNING.searchBack, hint + AI_TUNING.searchAhead);
+    if (best < 0 || bestD > AI_TUNING.relocate) scan(0, n - 1);
+    return best;
+}
+
+/**
+ * A car spawned behind the start line (second half of the lap) starts on lap -1,
+ * so crossing the line at the green light begins lap 0.
+ */
+export function freshTracker(line, x, z) {
+    const idx = nearestIndex(line, x, z, -1);
+    const t = { idx, lap: line.s[idx] > line.length / 2 ? -1 : 0, progress: 0 };
+    t.progress = trackerProgress(t, line, x, z);
+    return t;
+}
+
+function trackerProgress(t, line, x, z) {
+    const p = line.pts[t.idx];
+    const along = (x - p[0]) * line.tx[t.idx] + (z - p[1]) * line.tz[t.idx];
+    return t.lap * line.length + line.s[t.idx] + along;
+}
+
+/** Advance a tracker to (x, z); returns true on the frame a new lap starts. */
+export function updateTracker(t, line, x, z) {
+    const prev = t.idx, n = line.n, idx = nearestIndex(line, x, z, prev);
+    let lapped = false;
+    if (prev > n * 0.75 && idx < n * 0.25) { t.lap++; lapped = true; }
+    else if (prev < n * 0.25 && idx > n * 0.75) t.lap--;
+    t.idx = idx;
+    t.progress = trackerProgress(t, line, x, z);
+    return lapped;
+}
+
+/**
+ * Race order: finished cars by finish time, then everyone else by progress.
+ * entries: [{progress, finishT?}] — returns a new sorted array.
+ */
+export function raceOrder(entries) {
+    return entries.slice().sort((a, b) => {
+        const fa = a.finishT != null, fb = b.finishT != null;
+        if (fa && fb) return a.finishT - b.finishT;
+        if (fa !== fb) return fa ? -1 : 1;
+        return b.progress - a.progress;
+    });
+}
+
+// ============================================================
+// DRIVER
+// ============================================================
+
+/** lane: metres right of the line this driver aims for (spreads the pack). */
+export function freshAIState(line, x, z, lane = 0) {
+    return { ...freshTracker(line, x, z), lane, stuckT: 0, recoverT: 0 };
+}
+
+/**
+ * One decision step. body: {x, z, heading, velX, velZ} (physics-runner body or
+ * equivalent); surfaceGrip as passed to stepPhysics. Returns stepPhysics inputs.
+ */
+export function stepAIDriver(dt, ai, body, line, diff, surfaceGrip = 1) {
+    const lapped = updateTracker(ai, line, body.x, body.z);
+    const speed = Math.hypot(body.velX, body.velZ);
+    const sinH = Math.sin(body.heading), cosH = Math.cos(body.heading);
+    const lon = -body.velX * sinH - body.velZ * cosH;
+    const lat = body.velX * cosH - body.velZ * sinH;
+
+    // Steering: aim at a look-ahead point on the driver's lane. Knocked off the line, look further
+    // ahead, and never aim inside the full-lock turning circle (the car would orbit it)
+    const here = line.s[ai.idx], near = line.pts[ai.idx];
+    let look = Math.max(AI_TUNING.minLook, speed * diff.lookAhead) + Math.hypot(near[0] - body.x, near[1] - body.z);
+    let aim = linePointAt(line, here + look, ai.lane);
+    const aimDist = Math.hypot(aim.x - body.x, aim.z - body.z);
+    if (aimDist < AI_TUNING.minAim) aim = linePointAt(line, here + look + AI_TUNING.minAim - aimDist, ai.lane);
+    const err = wrapAngle(Math.atan2(-(aim.x - body.x), -(aim.z - body.z)) - body.heading);
+
+    // Recovery: reverse out with opposite lock until pointing down the track again
+    if (ai.recoverT > 0) {
+        ai.recoverT -= dt;
+        return { throttle: -1, steer: err > 0 ? -1 : 1, handbrake: false, boost: false, lapped };
+    }
+    const stuck = speed < AI_TUNING.stuckSpeed || (Math.abs(err) > AI_TUNING.wrongWay && lon < 4);
+    ai.stuckT = stuck ? ai.stuckT + dt : 0;
+    if (ai.stuckT > AI_TUNING.stuckTime) { ai.stuckT = 0; ai.recoverT = AI_TUNING.recoverTime; }
+
+    // Speed: slowest profile point within the reading window, scaled by surface grip
+    const prof = speedProfile(line, diff);
+    const reach = here + Math.max(AI_TUNING.minLook, speed * diff.brakeLead);
+    let vt = prof[ai.idx];
+    for (let k = 1, i = (ai.idx + 1) % line.n; k < line.n; k++, i = (i + 1) % line.n) {
+        const d = line.s[i] + (line.s[i] < here ? line.length : 0);
+        if (d > reach) break;
+        vt = Math.min(vt, prof[i]);
+    }
+    vt *= Math.sqrt(clamp(surfaceGrip, 0.05, 1.5));
+
+    // Yaw-rate damping keeps the pursuit from fish-tailing out of fast transitions
+    // Brake in a straight line: the harder the wheel is turned, the less brake (trail-braking spins it)
+    const steer = clamp(err * diff.steerGain - (body.angularVel || 0) * AI_TUNING.yawDamp, -1, 1);
+    let throttle;
+    if (speed < vt - 1) throttle = diff.throttleMax;
+    else if (speed > vt + 1.5) throttle = -clamp((speed - vt) * 0.35, 0.2, 1) * (1 - Math.abs(steer) * 0.6);
+    else throttle = 0.35;
+    // Sliding: no hard braking or lifting (both load the front and spin the car) — trail the brake
+    // only when well over the target, otherwise hold a trickle of throttle
+    const slip = speed > 3 ? Math.abs(lat) / Math.max(Math.abs(lon), 1) : 0;
+    if (slip > diff.slipLift) throttle = speed > vt + 2 ? -0.3 : clamp(throttle, 0.15, 0.25);
+    // Gripping but pointing well off the aim: scrub speed to tighten the line
+    else if (Math.abs(err) > AI_TUNING.overshoot && lon > 8) throttle = -0.6;
+    // Never let braking turn into reverse
+    if (lon < 2) throttle = Math.max(throttle, 0.6);
+
+    return { throttle, steer, handbrake: false, boost: false, lapped };
+}
@@ -0,0 +1,215 @@
+/**
+ * road-graph.js — Routing graph over the road centre-lines (ROAD_SEGS) and shortest paths on it.
+ *
+ * ROAD_SEGS are straight pieces {x1, z1, x2, z2, hw} that cross or butt into one
+ * another without sharing vertices. buildRoadGraph() splits every segment where
+ * another one crosses it, or where another one's end lies on its tarmac (within
+ * its half-width), and joins those points into one graph. Nearby points collapse
+ * into a single node so the curves of a sampled circuit stay connected.
+ *
+ * findRoute() snaps both ends onto the nearest edge and runs Dijkstra, giving a
+ * polyline that follows the roads (off-road ends get a straight last leg).
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const MERGE = 1.0;       // m — points closer than this become one node
+const MIN_EDGE = 0.05;   // m — shorter pieces are dropped
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+
+/** Closest point on segment a→b to p: {t, x, z, d}. */
+function project(px, pz, ax, az, bx, bz) {
+    const dx = bx - ax, dz = bz - az, l2 = dx * dx + dz * dz;
+    const t = l2 < 1e-9 ? 0 : clamp(((px - ax) * dx + (pz - az) * dz) / l2, 0, 1);
+    const x = ax + dx * t, z = az + dz * t;
+    return { t, x, z, d: Math.hypot(px - x, pz - z) };
+}
+
+/** Parameters (ta, tb) where segments a and b cross, or null. */
+function crossing(a, b) {
+    const rx = a.x2 - a.x1, rz = a.z2 - a.z1, sx = b.x2 - b.x1, sz = b.z2 - b.z1;
+    const den = rx * sz - rz * sx;
+    if (Math.abs(den) < 1e-9) return null;
+    const qx = b.x1 - a.x1, qz = b.z1 - a.z1;
+    const ta = (qx * sz - qz * sx) / den, tb = (qx * rz - qz * rx) / den;
+    return ta >= 0 && ta <= 1 && tb >= 0 && tb <= 1 ? [ta, tb] : null;
+}
+
+// ============================================================
+// GRAPH
+// ============================================================
+
+/**
+ * Graph {nodes: [{x, z}], adj: [[{to, w}]], edges: [[i, j]]} from road segments.
+ * Cost is edge length; segments may carry `cost` (multiplier) to steer routes away.
+ */
+export function buildRoadGraph(segs) {
+    const cuts = segs.map(() => [0, 1]);
+    for (let i = 0; i < segs.length; i++) {
+        const a = segs[i];
+        for (let j = i + 1; j < segs.length; j++) {
+            const b = segs[j], c = crossing(a, b);
+            if (c) { cuts[i].push(c[0]); cuts[j].push(c[1]); }
+        }
+        // Ends of other roads that stop on this one's tarmac join it there
+        for (let j = 0; j < segs.length; j++) {
+            if (j === i) continue;
+            const b = segs[j];
+            for (const [ex, ez] of [[b.x1, b.z1], [b.x2, b.z2]]) {
+                const p = project(ex, ez, a.x1, a.z1, a.x2, a.z2);
+                if (p.d <= Math.max(a.hw || 0, MERGE)) cuts[i].push(p.t);
+            }
+        }
+    }
+
+    const nodes = [], grid = new Map(), adj = [], edges = [];
+    const key = (x, z) => `${Math.round(x / MERGE)},${Math.round(z / MERGE)}`;
+    const nodeAt = (x, z) => {
+        const gx = Math.round(x / MERGE), gz = Math.round(z / MERGE);
+        for (let ox = -1; ox <= 1; ox++) for (let oz = -1; oz <= 1; oz++) {
+            for (const n of grid.get(`${gx + ox},${gz + oz}`) || []) {
+                if (Math.hypot(nodes[n].x - x, nodes[n].z - z) < MERGE) return n;
+            }
+        }
+        const id = nodes.length;
+        nodes.push({ x, z }); adj.push([]);
+        const k = key(x, z);
+        if (!grid.has(k)) grid.set(k, []);
+        grid.get(k).push(id);
+        return id;
+    };
+    const link = (i, j, w) => {
+        if (i === j || adj[i].some(e => e.to === j)) return;
+        adj[i].push({ to: j, w }); adj[j].push({ to: i, w }); edges.push([i, j]);
+    };
+
+    segs.forEach((s, i) => {
+        const ts = [...new Set(cuts[i].map(t => Math.round(t * 1e6) / 1e6))].sort((p, q) => p - q);
+        const len = Math.hypot(s.x2 - s.x1, s.z2 - s.z1), mul = s.cost || 1;
+        let prev = null, prevT = 0;
+        for (const t of ts) {
+            const n = nodeAt(s.x1 + (s.x2 - s.x1) * t, s.z1 + (s.z2 - s.z1) * t);
+            if (prev !== null && (t - prevT) * len >= MIN_EDGE) link(prev, n, (t - prevT) * len * mul);
+            prev = n; prevT = t;
+        }
+    });
+    // A road end on another road's tarmac: bridge it to the point it was projected onto
+    segs.forEach((b, j) => {
+        for (const [ex, ez] of [[b.x1, b.z1], [b.x2, b.z2]]) {
+            const from = nodeAt(ex, ez);
+            segs.forEach((a, i) => {
+                if (i === j) return;
+                const p = project(ex, ez, a.x1, a.z1, a.x2, a.z2);
+                if (p.d >= MERGE && p.d <= (a.hw || 0)) link(from, nodeAt(p.x, p.z), p.d);
+            });
+        }
+    });
+    return { nodes, adj, edges };
+}
+
+/** Nearest point on any edge to (x, z): {x, z, d, a, b, t} (a, b node ids, t along a→b). */
+export function snapToGraph(graph, x, z) {
+    let best = null;
+    for (const [a, b] of graph.edges) {
+        const na = graph.nodes[a], nb = graph.nodes[b];
+        const p = project(x, z, na.x, na.z, nb.x, nb.z);
+        if (!best || p.d < best.d) best = { x: p.x, z: p.z, d: p.d, a, b, t: p.t };
+    }
+    return best;
+}
+
+/**
+ * Shortest road route between two world points.
+ * Returns {points: [[x, z], ...], length, roadLength} or null when unreachable.
+ * points start at `from` and end at `to`; roadLength excludes the off-road legs.
+ */
+export function findRoute(graph, from, to) {
+    const s = snapToGraph(graph, from.x, from.z), g = snapToGraph(graph, to.x, to.z);
+    if (!s || !g) return null;
+    const N = graph.nodes.length, S = N, G = N + 1;
+    const nd = i => (i === S ? s : i === G ? g : graph.nodes[i]);
+    const edgeW = (a, b) => (graph.adj[a].find(e => e.to === b) || { w: Math.hypot(graph.nodes[a].x - graph.nodes[b].x, graph.nodes[a].z - graph.nodes[b].z) }).w;
+    // Virtual start / goal nodes sit on their edges, linked to both ends by share of the edge cost
+    const extra = new Map();
+    const addExtra = (i, j, w) => { if (!extra.has(i)) extra.set(i, []); extra.get(i).push({ to: j, w }); };
+    for (const [v, p] of [[S, s], [G, g]]) {
+        const w = edgeW(p.a, p.b);
+        addExtra(v, p.a, w * p.t); addExtra(p.a, v, w * p.t);
+        addExtra(v, p.b, w * (1 - p.t)); addExtra(p.b, v, w * (1 - p.t));
+    }
+    if (s.a === g.a && s.b === g.b) {
+        const w = edgeW(s.a, s.b) * Math.abs(s.t - g.t);
+        addExtra(S, G, w); addExtra(G, S, w);
+    }
+
+    const dist = new Float64Array(N + 2).fill(Infinity), prev = new Int32Array(N + 2).fill(-1), done = new Uint8Array(N + 2);
+    const heap = [];   // [dist, node] binary min-heap
+    const push = (d, n) => {
+        heap.push([d, n]);
+        let i = heap.length - 1;
+        while (i > 0) { const p = (i - 1) >> 1; if (heap[p][0] <= heap[i][0]) break; [heap[p], heap[i]] = [heap[i], heap[p]]; i = p; }
+    };
+    const pop = () => {
+        const top = heap[0], last = heap.pop();
+        if (heap.length) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = i * 2 + 1, r = l + 1;
+                let m = i;
+                if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+                if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+                if (m === i) break;
+                [heap[m], heap[i]] = [heap[i], heap[m]]; i = m;
+            }
+        }
+        return top;
+    };
+    dist[S] = 0; push(0, S);
+    while (heap.length) {
+        const [d, u] = pop();
+        if (done[u]) continue;
+        done[u] = 1;
+        if (u === G) break;
+        const out = u < N ? graph.adj[u].concat(extra.get(u) || []) : extra.get(u) || [];
+        for (const e of out) {
+            const nd2 = d + e.w;
+            if (nd2 < dist[e.to]) { dist[e.to] = nd2; prev[e.to] = u; push(nd2, e.to); }
+        }
+    }
+    if (!isFinite(dist[G])) return null;
+
+    const chain = [];
+    for (let v = G; v !== -1; v = prev[v]) chain.push(v);
+    chain.reverse();
+    const points = [[from.x, from.z]];
+    for (const v of chain) { const p = nd(v); points.push([p.x, p.z]); }
+    points.push([to.x, to.z]);
+    // Drop repeated points (snaps that land on a node)
+    const clean = points.filter((p, i) => i === 0 || Math.hypot(p[0] - points[i - 1][0], p[1] - points[i - 1][1]) > 0.01);
+    let length = 0;
+    for (let i = 1; i < clean.length; i++) length += Math.hypot(clean[i][0] - clean[i - 1][0], clean[i][1] - clean[i - 1][1]);
+    return { points: clean, length, roadLength: dist[G] };
+}
+
+/** Distance remaining along a route polyline from the point on it nearest (x, z). */
+export function routeRemaining(points, x, z) {
+    let bestD = Infinity, bestI = 0, bestP = null;
+    for (let i = 1; i < points.length; i++) {
+        const p = project(x, z, points[i - 1][0], points[i - 1][1], points[i][0], points[i][1]);
+        if (p.d < bestD) { bestD = p.d; bestI = i; bestP = p; }
+    }
+    if (!bestP) return { remaining: 0, offRoute: 0 };
+    let rem = Math.hypot(points[bestI][0] - bestP.x, points[bestI][1] - bestP.z);
+    for (let i = bestI + 1; i < points.length; i++) rem += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    return { remaining: rem, offRoute: bestD };
+}
@@ -0,0 +1,196 @@
+/**
+ * save-profile.js — One versioned save profile for all player progress.
+ *
+ * Everything the world persists lives under a single storage key as
+ *   {v, savedAt, garage, setups, quests, achievements, records: {drift, lap, judged},
+ *    ghosts, tracks, skidMarks, raceSettings, world: {discovered}, input, clock, damage, audio, boss}
+ * where records / ghosts / tracks are keyed by track id and damage by car. Quest and achievement
+ * blobs (and the input bindings, clock, mixer and Wizard fight settings) keep their own
+ * versions and are validated by their modules on load.
+ *
+ * Loading never throws: unreadable JSON or a section of the wrong shape falls
+ * back to its default and is reported in `errors`. Older profiles step through
+ * MIGRATIONS one version at a time; version 0 is the pre-profile layout of
+ * separate localStorage keys (portfolioGarage, dtBest, stGhost_<track>, ...).
+ *
+ * The storage is passed in (anything with getItem / setItem / removeItem / key /
+ * length), so this works the same on localStorage and on a plain test shim.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const PROFILE_VERSION = 1;
+export const PROFILE_KEY = "portfolioSave";
+
+// Keys of the version-0 layout (before the profile existed)
+export const LEGACY_KEYS = {
+    garage: "portfolioGarage",
+    setups: "portfolioCarSetups",
+    quests: "portfolioQuests",
+    achievements: "portfolioAchievements",
+    skidMarks: "portfolioSkidMarks_v2",
+    tracks: "portfolioTracks",
+    raceSettings: "raceSettings"
+};
+// Per-track records: "<base>" for the circuits that predate track files, "<base>_<trackId>" for the rest
+const LEGACY_TRACK_KEY = /^(dtBest|stBest|stGhost)(?:_(.+))?$/;
+
+const isObj = v => !!v && typeof v === "object" && !Array.isArray(v);
+const isNum = v => typeof v === "number" && isFinite(v);
+
+// Section defaults + shape checks (value → sanitised value, or undefined when unusable)
+const SECTIONS = {
+    garage:       { fresh: () => null, check: v => (isObj(v) ? v : undefined) },
+    setups:       { fresh: () => ({}), check: v => (isObj(v) ? v : undefined) },
+    quests:       { fresh: () => null, check: v => (isObj(v) ? v : undefined) },
+    achievements: { fresh: () => null, check: v => (isObj(v) || Array.isArray(v) ? v : undefined) },
+    records:      { fresh: () => ({ drift: {}, lap: {}, judged: {} }), check: v => (isObj(v) ? { drift: numMap(v.drift), lap: numMap(v.lap), judged: numMap(v.judged) } : undefined) },
+    ghosts:       { fresh: () => ({}), check: v => (isObj(v) ? Object.fromEntries(Object.entries(v).filter(([, g]) => isObj(g))) : undefined) },
+    tracks:       { fresh: () => ({}), check: v => (isObj(v) ? Object.fromEntries(Object.entries(v).filter(([, d]) => isObj(d))) : undefined) },
+    skidMarks:    { fresh: () => [], check: v => (Array.isArray(v) ? v : undefined) },
+    raceSettings: { fresh: () => null, check: v => (isObj(v) ? v : undefined) },
+    world:        { fresh: () => ({ discovered: [] }), check: v => (isObj(v) && Array.isArray(v.discovered) ? { discovered: v.discovered.filter(d => typeof d === "string") } : undefined) },
+    input:        { fresh: () => null, check: v => (isObj(v) ? v : undefined) },
+    clock:        { fresh: () => null, check: v => (isObj(v) ? v : undefined) },
+    damage:       { fresh: () => ({}), check: v => (isObj(v) ? Object.fromEntries(Object.entries(v).filter(([, d]) => isObj(d))) : undefined) },
+    audio:        { fresh: () => null, check: v => (isObj(v) ? v : undefined) },
+    boss:         { fresh: () => null, check: v => (isObj(v) ? v : undefined) }
+};
+
+function numMap(m) {
+    return isObj(m) ? Object.fromEntries(Object.entries(m).filter(([, n]) => isNum(n))) : {};
+}
+
+// ============================================================
+// MIGRATIONS
+// ============================================================
+
+function parseOr(raw, fallback, errors, what) {
+    if (raw == null) return fallback;
+    try { return JSON.parse(raw); }
+    catch (e) { errors.push(`${what}: unreadable (${e.message})`); return fallback; }
+}
+
+// MIGRATIONS[n] turns a version-n profile into version n + 1
+const MIGRATIONS = {
+    // 0 → 1: {v: 0, raw: {key: string}, legacyTracks} gathered by readLegacy()
+    0(old, errors) {
+        const raw = old.raw, p = freshProfile();
+        for (const [section, key] of Object.entries(LEGACY_KEYS)) {
+            if (raw[key] != null) p[section] = parseOr(raw[key], p[section], errors, key);
+        }
+        for (const [key, value] of Object.entries(raw)) {
+            const m = LEGACY_TRACK_KEY.exec(key);
+            if (!m) continue;
+            const id = m[2] || (old.legacyTracks || {})[m[1]];
+            if (!id) continue;
+            if (m[1] === "stGhost") { const g = parseOr(value, null, errors, key); if (isObj(g)) p.ghosts[id] = g; }
+            else {
+                const n = parseFloat(value);
+                if (isNum(n)) p.records[m[1] === "dtBest" ? "drift" : "lap"][id] = n;
+            }
+        }
+        return p;
+    }
+};
+
+// ============================================================
+// PROFILE
+// ============================================================
+
+export function freshProfile() {
+    const p = { v: PROFILE_VERSION, savedAt: 0 };
+    for (const [k, s] of Object.entries(SECTIONS)) p[k] = s.fresh();
+    return p;
+}
+
+/** Bring any known version up to PROFILE_VERSION and sanitise every section. Throws for newer versions. */
+export function migrateProfile(old, errors = []) {
+    if (!isObj(old) || !Number.isInteger(old.v) || old.v < 0) throw new Error("not a save profile");
+    if (old.v > PROFILE_VERSION) throw new Error(`save is from a newer version (v${old.v})`);
+    let p = old;
+    for (let v = old.v; v < PROFILE_VERSION; v++) { p = MIGRATIONS[v](p, errors); p.v = v + 1; }
+    const out = { v: PROFILE_VERSION, savedAt: isNum(p.savedAt) ? p.savedAt : 0 };
+    for (const [k, s] of Object.entries(SECTIONS)) {
+        const val = p[k] === undefined ? undefined : s.check(p[k]);
+        if (p[k] !== undefined && p[k] !== null && val === undefined) errors.push(`${k}: unexpected shape, reset`);
+        out[k] = val === undefined ? s.fresh() : val;
+    }
+    return out;
+}
+
+/** Raw strings of every version-0 key present. legacyTracks maps dtBest/stBest/stGhost to their track ids. */
+export function readLegacy(storage, legacyTracks = {}) {
+    const raw = {};
+    for (const key of Object.values(LEGACY_KEYS)) { const v = storage.getItem(key); if (v != null) raw[key] = v; }
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (LEGACY_TRACK_KEY.test(key)) raw[key] = storage.getItem(key);
+    }
+    return { v: 0, raw, legacyTracks };
+}
+
+export function clearLegacy(storage) {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (LEGACY_TRACK_KEY.test(key) || Object.values(LEGACY_KEYS).includes(key)) keys.push(key);
+    }
+    keys.forEach(k => storage.removeItem(k));
+    return keys;
+}
+
+/**
+ * Load the profile (migrating the old keys the first time).
+ * Returns {profile, migrated, errors}; never throws.
+ */
+export function loadProfile(storage, opts = {}) {
+    const errors = [];
+    let stored = null;
+    try { stored = storage.getItem(PROFILE_KEY); } catch (e) { errors.push(`storage unavailable (${e.message})`); }
+    if (stored != null) {
+        try { return { profile: migrateProfile(JSON.parse(stored), errors), migrated: false, errors }; }
+        catch (e) {
+            // Keep the broken copy next to it so the next save doesn't destroy what might be recoverable
+            try { storage.setItem(PROFILE_KEY + "_corrupt", stored); } catch (e2) { /* storage full */ }
+            errors.push(`profile unreadable (${e.message}), starting fresh`);
+            return { profile: freshProfile(), migrated: false, errors };
+        }
+    }
+    let legacy;
+    try { legacy = readLegacy(storage, opts.legacyTracks); } catch (e) { legacy = { v: 0, raw: {} }; }
+    if (!Object.keys(legacy.raw).length) return { profile: freshProfile(), migrated: false, errors };
+    return { profile: migrateProfile(legacy, errors), migrated: true, errors };
+}
+
+/** Persist; returns false when storage refuses (quota, private mode). */
+export function writeProfile(storage, profile, now = Date.now()) {
+    profile.savedAt = now;
+    try { storage.setItem(PROFILE_KEY, JSON.stringify(profile)); return true; }
+    catch (e) { return false; }
+}
+
+// ============================================================
+// EXPORT / IMPORT
+// ============================================================
+
+/** Portable save file. Cosmetic skid marks are left out unless asked for. */
+export function exportProfile(profile, opts = {}) {
+    const out = { ...profile, exportedAt: opts.now ?? Date.now() };
+    if (!opts.skidMarks) out.skidMarks = [];
+    return JSON.stringify(out);
+}
+
+/** Parse a save file. Returns {profile, errors}; throws Error with a readable message when unusable. */
+export function importProfile(text) {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { throw new Error("file is not JSON"); }
+    const errors = [];
+    const profile = migrateProfile(data, errors);
+    delete profile.exportedAt;
+    return { profile, errors };
+}
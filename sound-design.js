@@ -0,0 +1,172 @@
+/**
+ * sound-design.js — Mixer settings and the numbers behind every procedural sound.
+ *
+ * Nothing here makes a sound: it turns game state into voice parameters that the
+ * Web Audio graph in ThreeJs.html follows, so the mapping can be tuned and checked
+ * without a browser.
+ *
+ *   - Mixer: {v, master, music, sfx, muted}, 0–1 sliders on a squared (perceived
+ *     loudness) curve; loadMix() falls back field by field.
+ *   - Tyres: squeal from the slip amount isDrifting() reports (tarmac screams,
+ *     loose surfaces scrub) and rolling noise shaped per getSurfaceType() surface.
+ *   - One-shots (crash, gunshot, fireball, handbrake, gull, horn, the Wizard's
+ *     charge-up): recipes of filtered noise bursts and pitched tones, sized by
+ *     how hard the event was.
+ *   - Music: a slow generative pad; chordAt() picks the chord for a bar.
+ *
+ * Gains are linear (0–1 before the bus), frequencies Hz, times seconds.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const MIX_VERSION = 1;
+export const MIX_BUSES = { master: "Master", music: "Music", sfx: "Effects" };
+export const MIX_DEFAULTS = { master: 0.8, music: 0.45, sfx: 0.85, muted: false };
+
+// Rolling noise per surface: band centre / Q, loudness at speed, and crackle
+// (stones and twigs — random ticks on top of the hiss)
+export const SURFACE_SOUNDS = {
+    tarmac: { freq: 220,  q: 0.7, gain: 0.18, crackle: 0 },
+    gravel: { freq: 1900, q: 0.9, gain: 0.55, crackle: 0.8 },
+    dirt:   { freq: 520,  q: 0.6, gain: 0.45, crackle: 0.35 },
+    snow:   { freq: 2800, q: 0.5, gain: 0.3,  crackle: 0.15 },
+    grass:  { freq: 950,  q: 0.4, gain: 0.32, crackle: 0.1 }
+};
+
+const SQUEAL = { slipFrom: 0.06, slipFull: 0.45, speedFrom: 3, speedFull: 10, pitch: 760, pitchSpan: 260 };
+const ROLL_FULL_SPEED = 30;     // m/s where rolling noise stops growing
+
+// Pentatonic pad: C major-ish, one chord per bar; night drops it a fourth and darkens it
+const PAD_SCALE = [0, 2, 4, 7, 9];
+const PAD_CHORDS = [[0, 2, 4], [3, 0, 2], [4, 1, 3], [2, 4, 1]];
+const PAD_ROOT = 196;           // G3
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+function smoothstep(e0, e1, x) { const t = clamp((x - e0) / (e1 - e0), 0, 1); return t * t * (3 - 2 * t); }
+const isNum = v => typeof v === "number" && isFinite(v);
+
+// ============================================================
+// MIXER
+// ============================================================
+
+/** Mixer settings from whatever was saved (null or a partial blob); never throws. */
+export function loadMix(saved) {
+    const m = { v: MIX_VERSION, ...MIX_DEFAULTS };
+    if (!saved || typeof saved !== "object") return m;
+    for (const k of Object.keys(MIX_BUSES)) if (isNum(saved[k])) m[k] = clamp(saved[k], 0, 1);
+    if (typeof saved.muted === "boolean") m.muted = saved.muted;
+    return m;
+}
+
+/** Linear gain of a bus; "master" is the output stage, the others sit under it. */
+export function busGain(mix, bus) {
+    if (bus === "master") return mix.muted ? 0 : mix.master * mix.master;
+    return mix[bus] * mix[bus];
+}
+
+// ============================================================
+// TYRES
+// ============================================================
+
+/**
+ * Squeal voice from the drift detector: {gain, pitch}. Loose surfaces don't
+ * squeal — their slip goes into rollingVoice() as scrub instead.
+ */
+export function squealVoice(slipAmount, speed, surfaceType, handbrake = false) {
+    if (surfaceType !== "tarmac") return { gain: 0, pitch: SQUEAL.pitch };
+    const k = smoothstep(SQUEAL.slipFrom, SQUEAL.slipFull, slipAmount) * smoothstep(SQUEAL.speedFrom, SQUEAL.speedFull, speed);
+    const lock = handbrake ? 0.25 : 0;   // locked rears chirp a little higher
+    return {
+        gain: clamp(k * 0.5 + (handbrake && speed > SQUEAL.speedFrom ? 0.08 : 0), 0, 0.55),
+        pitch: SQUEAL.pitch + SQUEAL.pitchSpan * (clamp(slipAmount, 0, 1) - 0.3 + lock)
+    };
+}
+
+/** Rolling noise: {freq, q, gain, crackle} for a surface at speed, louder while scrubbing sideways. */
+export function rollingVoice(surfaceType, speed, slipAmount = 0) {
+    const s = SURFACE_SOUNDS[surfaceType] || SURFACE_SOUNDS.tarmac;
+    const k = smoothstep(0.5, ROLL_FULL_SPEED, speed);
+    const scrub = surfaceType === "tarmac" ? 0 : smoothstep(0.05, 0.5, slipAmount) * 0.5;
+    return {
+        freq: s.freq * (0.75 + 0.5 * k),
+        q: s.q,
+        gain: clamp(s.gain * (Math.sqrt(k) + scrub), 0, 0.8),
+        crackle: s.crackle * k
+    };
+}
+
+/** Rumble-strip buzz: blocks pass at speed / block length (Hz), or 0 off the kerb. */
+export function kerbBuzz(speed, blockLength = 1.2) {
+    return speed > 0 ? clamp(speed / blockLength, 8, 90) : 0;
+}
+
+// ============================================================
+// ONE-SHOTS
+// ============================================================
+
+/**
+ * Recipes: {noise: {filter, freq, q, gain, attack, decay} | null,
+ *           tone: {type, from, to, gain, decay} | null}
+ * strength is event-specific (crash: Δv m/s, charge: wind-up seconds).
+ */
+export function sfxRecipe(kind, strength = 1) {
+    switch (kind) {
+        case "crash": {
+            const k = clamp(strength / 12, 0.05, 1);
+            return {
+                noise: { filter: "lowpass", freq: 500 + k * 2600, q: 0.8, gain: 0.25 + k * 0.6, attack: 0.004, decay: 0.18 + k * 0.5 },
+                tone: { type: "square", from: 90 + k * 40, to: 40, gain: 0.12 + k * 0.25, decay: 0.12 + k * 0.25 }
+            };
+        }
+        case "gunshot":
+            return {
+                noise: { filter: "bandpass", freq: 1400, q: 0.6, gain: 0.55, attack: 0.001, decay: 0.09 },
+                tone: { type: "triangle", from: 160, to: 55, gain: 0.35, decay: 0.07 }
+            };
+        case "explosion":
+            return {
+                noise: { filter: "lowpass", freq: 900, q: 0.5, gain: 0.9, attack: 0.01, decay: 1.1 },
+                tone: { type: "sine", from: 70, to: 28, gain: 0.5, decay: 0.8 }
+            };
+        case "whoosh":
+            return { noise: { filter: "bandpass", freq: 700, q: 1.4, gain: 0.45, attack: 0.08, decay: 0.45 }, tone: null };
+        case "handbrake":
+            return {
+                noise: { filter: "highpass", freq: 2400, q: 0.7, gain: 0.18, attack: 0.002, decay: 0.06 },
+                tone: { type: "square", from: 240, to: 180, gain: 0.05, decay: 0.05 }
+            };
+        case "gull":
+            return { noise: null, tone: { type: "sawtooth", from: 1500 + strength * 300, to: 950, gain: 0.08, decay: 0.35 } };
+        case "charge": {
+            // Rises for the whole wind-up, so the sound itself says when the attack lands
+            const t = clamp(strength, 0.3, 3);
+            return {
+                noise: { filter: "bandpass", freq: 1200, q: 2.5, gain: 0.2, attack: t * 0.8, decay: t * 0.3 },
+                tone: { type: "sawtooth", from: 140, to: 620, gain: 0.1, decay: t }
+            };
+        }
+        case "horn":
+            return { noise: null, tone: { type: "sawtooth", from: 98, to: 96, gain: 0.16, decay: 2.2 } };
+        default:
+            return { noise: null, tone: { type: "sine", from: 880, to: 880, gain: 0.1, decay: 0.12 } };
+    }
+}
+
+// ============================================================
+// MUSIC
+// ============================================================
+
+/** Frequencies of the pad chord for `bar`; night (0–1) lowers it and is read by the caller for the filter. */
+export function chordAt(bar, night = 0) {
+    const chord = PAD_CHORDS[((bar % PAD_CHORDS.length) + PAD_CHORDS.length) % PAD_CHORDS.length];
+    const root = PAD_ROOT * (night > 0.5 ? 0.75 : 1);
+    return chord.map((deg, i) => root * Math.pow(2, (PAD_SCALE[deg] + (i === 0 ? -12 : 0)) / 12));
+}
@@ -0,0 +1,149 @@
+/**
+ * telemetry.js — Rolling telemetry buffer and session export for the driving model.
+ *
+ * Samples are flat rows of TELEMETRY_CHANNELS, built from a stepPhysics result,
+ * its debug object (stepPhysics(..., debug)) and isDrifting():
+ *   - A fixed-size ring holds the last few seconds for the live graphs
+ *   - The whole session is kept (capped) for CSV / JSON export; past the cap the
+ *     oldest samples go a chunk at a time and the export clock restarts at the
+ *     oldest one kept
+ * Recording is rate-limited so a 144 Hz display logs the same as a 60 Hz one.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+// [key, label, unit, graph min, graph max]
+export const TELEMETRY_CHANNELS = [
+    ["speed",      "Speed",         "km/h", 0, 260],
+    ["steer",      "Steer",         "rad", -0.55, 0.55],
+    ["throttle",   "Throttle",      "",     0, 1],
+    ["brake",      "Brake",         "",     0, 1],
+    ["frontSlip",  "Front slip",    "rad", -0.8, 0.8],
+    ["rearSlip",   "Rear slip",     "rad", -0.8, 0.8],
+    ["wtSpike",    "WT spike",      "N",    0, 6000],
+    ["latG",       "Lateral g",     "g",   -1.6, 1.6],
+    ["longG",      "Long. g",       "g",   -1.6, 1.6],
+    ["driftSlip",  "Drift slip",    "",     0, 1],
+    ["drifting",   "Drifting",      "",     0, 1],
+    ["frontUse",   "Front grip use", "",    0, 1.2],
+    ["rearUse",    "Rear grip use", "",     0, 1.2],
+    ["wheelspin",  "Wheelspin",     "",     0, 1],
+    ["rpm",        "RPM",           "rpm",  0, 9000],
+    ["gear",       "Gear",          "",    -1, 6],
+    ["x",          "X",             "m",    null, null],
+    ["z",          "Z",             "m",    null, null],
+    ["surface",    "Surface",       "",     null, null]
+];
+
+export const TELEMETRY_DEFAULTS = {
+    window: 6,           // s of history in the ring (graphs)
+    rate: 60,            // samples per second
+    maxSession: 60 * 60 * 20,  // 20 min at 60 Hz before the oldest samples drop
+    trimChunk: 60 * 60         // samples over the cap before they're dropped in one go
+};
+
+const KMH = 4.2;         // HUD convention: km/h = speed * 4.2
+
+// ============================================================
+// BUFFER
+// ============================================================
+
+export function createTelemetry(opts = {}) {
+    const cfg = { ...TELEMETRY_DEFAULTS, ...opts };
+    const size = Math.ceil(cfg.window * cfg.rate);
+    return { cfg, ring: new Array(size), size, head: 0, count: 0, session: [], dropped: 0, lastT: -Infinity, startedAt: null };
+}
+
+/** Flat telemetry row from a physics step (phys), its debug object and isDrifting() output. */
+export function telemetrySample(t, phys, debug, drift, extra = {}) {
+    const d = debug || {};
+    // Axle grip use: combined long/lat demand over what the tyres can give (friction circle)
+    const use = (trac, maxTrac, lat, peak) => Math.hypot(maxTrac > 0 ? trac / maxTrac : 0, peak > 0 ? lat / peak : 0);
+    return {
+        t,
+        speed: (phys.speed || 0) * KMH,
+        steer: phys.steer || 0,
+        throttle: Math.max(d.throttle ?? phys.smoothThrottle ?? 0, d.reverse ?? 0),
+        brake: d.brake ?? phys.smoothBrake ?? 0,
+        frontSlip: phys.frontSlip || 0,
+        rearSlip: phys.rearSlip || 0,
+        wtSpike: phys.weightTransferSpike || 0,
+        latG: d.latG ?? 0,
+        longG: d.longG ?? 0,
+        driftSlip: drift ? drift.slipAmount : 0,
+        drifting: drift && drift.drifting ? 1 : 0,
+        frontUse: use(d.frontTrac || 0, d.maxFTrac, d.frontLat || 0, d.frontPeakF),
+        rearUse: use(d.rearTrac || 0, d.maxRTrac, d.rearLat || 0, d.rearPeakF),
+        wheelspin: phys.wheelspin || 0,
+        rpm: phys.rpm || 0,
+        gear: phys.gear || 0,
+        x: extra.x ?? 0,
+        z: extra.z ?? 0,
+        surface: phys.surfaceType || ""
+    };
+}
+
+/** Push a sample at time t (s). Returns false when skipped by the rate limit. */
+export function recordTelemetry(tel, sample) {
+    if (sample.t - tel.lastT < 1 / tel.cfg.rate - 1e-6) return false;
+    tel.lastT = sample.t;
+    if (tel.startedAt === null) tel.startedAt = sample.t;
+    tel.ring[tel.head] = sample;
+    tel.head = (tel.head + 1) % tel.size;
+    tel.count = Math.min(tel.count + 1, tel.size);
+    tel.session.push(sample);
+    // Trim in chunks: shifting a 72k-element array on every sample is a per-frame copy
+    if (tel.session.length > tel.cfg.maxSession + tel.cfg.trimChunk) {
+        const n = tel.session.length - tel.cfg.maxSession;
+        tel.session.splice(0, n); tel.dropped += n;
+        tel.startedAt = tel.session[0].t;
+    }
+    return true;
+}
+
+/** Ring contents oldest → newest. */
+export function telemetryWindow(tel) {
+    const out = [];
+    for (let i = tel.count; i > 0; i--) out.push(tel.ring[(tel.head - i + tel.size) % tel.size]);
+    return out;
+}
+
+export function clearTelemetry(tel) {
+    tel.ring = new Array(tel.size); tel.head = 0; tel.count = 0;
+    tel.session = []; tel.dropped = 0; tel.lastT = -Infinity; tel.startedAt = null;
+}
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+function csvCell(v) {
+    if (typeof v === "number") return Number.isFinite(v) ? String(Math.round(v * 10000) / 10000) : "";
+    const s = String(v ?? "");
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Session as CSV: header of channel keys (time relative to the oldest sample kept). */
+export function telemetryToCSV(tel) {
+    const keys = TELEMETRY_CHANNELS.map(c => c[0]);
+    const t0 = tel.startedAt ?? 0;
+    const lines = [["t", ...keys].join(",")];
+    for (const s of tel.session) lines.push([csvCell(s.t - t0), ...keys.map(k => csvCell(s[k]))].join(","));
+    return lines.join("\n") + "\n";
+}
+
+/** Session as JSON: {meta, channels, samples} with column arrays per channel. */
+export function telemetryToJSON(tel, meta = {}) {
+    const t0 = tel.startedAt ?? 0;
+    const samples = { t: tel.session.map(s => +(s.t - t0).toFixed(4)) };
+    for (const [k] of TELEMETRY_CHANNELS) samples[k] = tel.session.map(s => s[k]);
+    return JSON.stringify({
+        meta: { ...meta, rate: tel.cfg.rate, count: tel.session.length, dropped: tel.dropped },
+        channels: TELEMETRY_CHANNELS.map(([key, label, unit]) => ({ key, label, unit })),
+        samples
+    });
+}
@@ -0,0 +1,171 @@
+/**
+ * weather.js — Weather states and the wetness / snow field that drives grip.
+ *
+ * A small Markov cycle (dry → light rain → downpour → clearing → dry, with
+ * snow in winter) advances over time. Two global levels integrate from it:
+ *   - water: road water film (rises with rain, dries after)
+ *   - snow:  settled snow depth (settles off-road first, tarmac turns to slush)
+ * A deterministic position field turns those into local conditions:
+ * puddles collect in fixed low spots on tarmac, snow drifts pile unevenly
+ * off-road. weatherSurface() folds that into the {type, grip} the physics
+ * already consumes, so stepPhysics and DRIVE_SURFACE_GRIP stay untouched.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+import { DRIVE_SURFACE_GRIP } from "./driving-physics.js";
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+// rain/snowfall: 0..1 precipitation; wet/dry: water film gain/loss per second;
+// dur: [min, max] seconds; next: transition weights
+export const WEATHER_STATES = {
+    dry:        { label: "Dry",        rain: 0,    snowfall: 0,   wet: 0,     dry: 0.012, dur: [70, 140], next: { light_rain: 3, snow: 1 } },
+    light_rain: { label: "Light rain", rain: 0.35, snowfall: 0,   wet: 0.02,  dry: 0,     dur: [40, 80],  next: { downpour: 2, clearing: 2 } },
+    downpour:   { label: "Downpour",   rain: 1,    snowfall: 0,   wet: 0.06,  dry: 0,     dur: [30, 60],  next: { light_rain: 1, clearing: 2 } },
+    snow:       { label: "Snow",       rain: 0,    snowfall: 0.8, wet: 0,     dry: 0.004, dur: [60, 110], next: { clearing: 1 } },
+    clearing:   { label: "Clearing",   rain: 0.08, snowfall: 0,   wet: 0,     dry: 0.02,  dur: [30, 50],  next: { dry: 1 } }
+};
+
+// Season biases on transition weights (SP order: spring, summer, autumn, winter)
+const SEASON_BIAS = [
+    { light_rain: 1.3, snow: 0 },
+    { light_rain: 0.6, downpour: 1.4, snow: 0 },
+    { light_rain: 1.6, downpour: 1.2, snow: 0.2 },
+    { snow: 4, light_rain: 0.5, downpour: 0.3 }
+];
+
+export const WEATHER_GRIP = {
+    wetTarmac: 0.72,     // tarmac grip multiplier under a full water film
+    puddle: 0.5,         // multiplier in a full puddle at aquaplane speed
+    aquaplaneSpeed: 22,  // m/s where puddles bite fully
+    wetLoose: 0.85,      // gravel/dirt/grass multiplier when soaked
+    slush: 0.6,          // tarmac multiplier under full slush
+    snowType: 0.45       // local snow cover above this counts as a snow surface
+};
+
+const SNOW_SETTLE = 0.012;   // snow depth per s at full snowfall
+const SNOW_MELT = 0.006;     // per s when not snowing
+const PUDDLE_CELL = 7;       // m — puddle noise cell size
+const DRIFT_CELL = 11;       // m — snow drift noise cell size
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+function smoothstep(e0, e1, x) { const t = clamp((x - e0) / (e1 - e0), 0, 1); return t * t * (3 - 2 * t); }
+
+function hash2(ix, iz, seed) {
+    let h = (ix * 374761393 + iz * 668265263 + seed * 1442695041) | 0;
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967295;
+}
+
+// Smooth value noise 0..1 on a `cell`-metre grid
+function valueNoise(x, z, cell, seed) {
+    const fx = x / cell, fz = z / cell, ix = Math.floor(fx), iz = Math.floor(fz);
+    const tx = fx - ix, tz = fz - iz, sx = tx * tx * (3 - 2 * tx), sz = tz * tz * (3 - 2 * tz);
+    const a = hash2(ix, iz, seed), b = hash2(ix + 1, iz, seed);
+    const c = hash2(ix, iz + 1, seed), d = hash2(ix + 1, iz + 1, seed);
+    return (a + (b - a) * sx) + ((c + (d - c) * sx) - (a + (b - a) * sx)) * sz;
+}
+
+function pickNext(st, season, rand) {
+    const bias = SEASON_BIAS[season] || {};
+    const opts = Object.entries(WEATHER_STATES[st].next).map(([k, w]) => [k, w * (bias[k] ?? 1)]).filter(([, w]) => w > 0);
+    if (!opts.length) return "clearing";
+    let r = rand() * opts.reduce((s, [, w]) => s + w, 0);
+    for (const [k, w] of opts) { if ((r -= w) <= 0) return k; }
+    return opts[opts.length - 1][0];
+}
+
+// ============================================================
+// WEATHER CYCLE
+// ============================================================
+
+export function freshWeather(state = "dry", rand = Math.random) {
+    const s = WEATHER_STATES[state] || WEATHER_STATES.dry;
+    return {
+        state: WEATHER_STATES[state] ? state : "dry",
+        t: 0, duration: s.dur[0] + rand() * (s.dur[1] - s.dur[0]),
+        rain: s.rain, snowfall: s.snowfall,  // eased toward the state's targets
+        water: 0, snow: 0
+    };
+}
+
+/** Force a state now (keeps accumulated water/snow). */
+export function setWeather(w, state, rand = Math.random) {
+    const s = WEATHER_STATES[state];
+    if (!s) return w;
+    w.state = state; w.t = 0;
+    w.duration = s.dur[0] + rand() * (s.dur[1] - s.dur[0]);
+    return w;
+}
+
+/**
+ * Advance the cycle. season: 0..3 (biases transitions, snow is a winter thing).
+ * Returns true on the step the state changes.
+ */
+export function stepWeather(w, dt, season = 0, rand = Math.random) {
+    let changed = false;
+    w.t += dt;
+    if (w.t >= w.duration) { setWeather(w, pickNext(w.state, season, rand), rand); changed = true; }
+    const s = WEATHER_STATES[w.state];
+    const ease = 1 - Math.exp(-dt / 8);   // precipitation fades in/out over ~8 s
+    w.rain += (s.rain - w.rain) * ease;
+    w.snowfall += (s.snowfall - w.snowfall) * ease;
+    w.water = clamp(w.water + (s.wet * (w.rain / Math.max(s.rain, 0.01)) - s.dry) * dt, 0, 1);
+    w.snow = clamp(w.snow + (w.snowfall > 0.05 ? SNOW_SETTLE * w.snowfall : -SNOW_MELT) * dt, 0, 1);
+    return changed;
+}
+
+// ============================================================
+// POSITION FIELD
+// ============================================================
+
+/** Puddle depth 0..1 at (x, z) for a water film level — fixed low spots fill first. */
+export function puddleAt(x, z, water) {
+    if (water <= 0.15) return 0;
+    const n = valueNoise(x, z, PUDDLE_CELL, 7) * 0.7 + valueNoise(x, z, PUDDLE_CELL * 0.37, 13) * 0.3;
+    // Wetter roads widen the pools: threshold falls from .78 to .6
+    const edge = 0.78 - (water - 0.15) * 0.21;
+    return smoothstep(edge, edge + 0.08, n) * clamp((water - 0.15) / 0.5, 0, 1);
+}
+
+/** Settled snow 0..1 at (x, z); offRoad snow drifts, tarmac only carries slush. */
+export function snowAt(x, z, snow, offRoad) {
+    if (snow <= 0) return 0;
+    if (!offRoad) return clamp(snow * 0.5, 0, 0.6);
+    const drift = 0.6 + valueNoise(x, z, DRIFT_CELL, 29) * 0.8;
+    return clamp(snow * drift * 1.6, 0, 1);
+}
+
+/**
+ * Local conditions on top of the static surface:
+ * {type, grip, water, puddle, snow}. speed (m/s) scales puddle aquaplaning.
+ */
+export function weatherSurface(w, x, z, type, grip, speed = 0) {
+    if (!w || (w.water <= 0 && w.snow <= 0)) return { type, grip, water: 0, puddle: 0, snow: 0 };
+    const paved = type === "tarmac";
+    let g = grip, outType = type;
+    const puddle = paved ? puddleAt(x, z, w.water) : 0;
+    if (paved) {
+        g *= 1 - (1 - WEATHER_GRIP.wetTarmac) * w.water;
+        if (puddle > 0) {
+            const plane = clamp(speed / WEATHER_GRIP.aquaplaneSpeed, 0.3, 1);
+            g *= 1 - (1 - WEATHER_GRIP.puddle) * puddle * plane;
+        }
+    } else {
+        g *= 1 - (1 - WEATHER_GRIP.wetLoose) * w.water;
+    }
+    const snow = snowAt(x, z, w.snow, !paved);
+    if (snow > 0) {
+        if (paved) g *= 1 - (1 - WEATHER_GRIP.slush) * snow;
+        else g = Math.min(g, g + (DRIVE_SURFACE_GRIP.snow - g) * snow);
+        if (!paved && snow > WEATHER_GRIP.snowType) outType = "snow";
+    }
+    return { type: outType, grip: g, water: w.water, puddle, snow };
+}
@@ -0,0 +1,225 @@
+/**
+ * wizard-boss.js — The Wizard encounter as a state machine: health phases, attack patterns and difficulty.
+ *
+ * Shooting the Wizard twice gets a warning each time; the third shot starts the
+ * fight. From then on the boss runs
+ *   intro → ready → windup → (attack) → recover → ready → ...
+ * with a shielded `phase` pause each time his health crosses into the next
+ * phase, and `defeated` at zero. Every attack is telegraphed: stepBoss() emits a
+ * `windup` event when one is chosen and the `attack` event only once the wind-up
+ * has run, so the scene has that long to show it and the player that long to move.
+ *
+ * Attacks (resolved by attackSpec() for the current phase and difficulty):
+ *   volley   — a fan of fireballs aimed at the player
+ *   orbs     — slow homing orbs that turn toward the player until they expire
+ *   aoe      — a ring marked on the ground under the player, which erupts
+ *   teleport — the Wizard vanishes and reappears at another anchor
+ *
+ * Each phase start is a checkpoint: dying in the fight costs the phase in
+ * progress, not the fight (bossRetry()). Wandering off for too long resets it.
+ *
+ * Difficulty presets scale boss health, wind-up and cooldown times, projectile
+ * speed and the damage the player takes. Settings save as {v, difficulty}.
+ *
+ * No DOM / Three.js / scene side-effects.
+ */
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const BOSS_VERSION = 1;
+
+export const BOSS_DIFFICULTY = {
+    story:  { label: "Story",  hp: 400, windup: 1.4,  cooldown: 1.5,  damage: 0.5, speed: 0.8,  playerHp: 150 },
+    normal: { label: "Normal", hp: 600, windup: 1,    cooldown: 1,    damage: 1,   speed: 1,    playerHp: 100 },
+    hard:   { label: "Hard",   hp: 800, windup: 0.7,  cooldown: 0.7,  damage: 1.5, speed: 1.25, playerHp: 100 }
+};
+export const BOSS_DEFAULTS = { difficulty: "normal" };
+
+// Phases start when health falls to `from` (fraction of max); later phases attack faster and harder
+export const BOSS_PHASES = [
+    { from: 1,    name: "Warning shots", pool: ["volley"],                           cooldown: 2.4, volley: 3, orbs: 0, power: 1 },
+    { from: 0.66, name: "Arcane fury",   pool: ["volley", "orbs", "aoe"],            cooldown: 1.9, volley: 4, orbs: 2, power: 1.15 },
+    { from: 0.33, name: "Unravelling",   pool: ["volley", "orbs", "aoe", "teleport"], cooldown: 1.4, volley: 5, orbs: 3, power: 1.3 }
+];
+
+// Base numbers before phase / difficulty: wind-up s, damage per hit, speed m/s
+export const BOSS_ATTACKS = {
+    volley:   { windup: 0.9, damage: 34, speed: 25, spread: 0.22, life: 5 },
+    orbs:     { windup: 1.2, damage: 22, speed: 9,  turn: 1.6, life: 7 },
+    aoe:      { windup: 1.7, damage: 45, radius: 5 },
+    teleport: { windup: 0.8 }
+};
+
+export const BOSS_WARNINGS = 2;      // shots that only earn a warning
+const INTRO_TIME = 2;                // s between the fight starting (or a retry) and the first wind-up
+const PHASE_TIME = 2.5;              // s of shielded pause at a phase change
+const LEASH_TIME = 8;                // s out of range before the fight resets
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
+const isNum = v => typeof v === "number" && isFinite(v);
+
+/** Boss settings from whatever was saved (null or a partial blob); never throws. */
+export function loadBossSettings(saved) {
+    const s = { v: BOSS_VERSION, ...BOSS_DEFAULTS };
+    if (saved && typeof saved === "object" && BOSS_DIFFICULTY[saved.difficulty]) s.difficulty = saved.difficulty;
+    return s;
+}
+
+export function freshBoss(difficulty = BOSS_DEFAULTS.difficulty) {
+    const key = BOSS_DIFFICULTY[difficulty] ? difficulty : BOSS_DEFAULTS.difficulty, d = BOSS_DIFFICULTY[key];
+    return {
+        v: BOSS_VERSION, difficulty: key,
+        state: "idle", t: 0, warnings: 0,
+        hp: d.hp, maxHp: d.hp, phase: 0,
+        playerHp: d.playerHp, playerMax: d.playerHp,
+        attack: null, last: null, away: 0, retries: 0,
+        checkpoint: { phase: 0, hp: d.hp }
+    };
+}
+
+/** True once the fight has started and until it is won or reset. */
+export function bossEngaged(boss) {
+    return boss.state !== "idle" && boss.state !== "defeated";
+}
+
+export function bossPhase(boss) {
+    return BOSS_PHASES[boss.phase];
+}
+
+/** Health fractions where phases 2+ begin — the marks on the health bar. */
+export function phaseMarks() {
+    return BOSS_PHASES.slice(1).map(p => p.from);
+}
+
+function phaseFor(hpFrac) {
+    let k = 0;
+    for (let i = 1; i < BOSS_PHASES.length; i++) if (hpFrac <= BOSS_PHASES[i].from) k = i;
+    return k;
+}
+
+// ============================================================
+// ATTACKS
+// ============================================================
+
+/**
+ * An attack resolved for the boss's phase and difficulty:
+ * {kind, windup, damage, speed, count, spread, turn, radius, life} (fields the kind doesn't use are absent).
+ */
+export function attackSpec(boss, kind) {
+    const base = BOSS_ATTACKS[kind], d = BOSS_DIFFICULTY[boss.difficulty], p = BOSS_PHASES[boss.phase];
+    const spec = { kind, windup: base.windup * d.windup };
+    if (base.damage) spec.damage = Math.round(base.damage * p.power * d.damage);
+    if (base.speed) spec.speed = base.speed * d.speed;
+    if (base.life) spec.life = base.life;
+    if (kind === "volley") { spec.count = p.volley; spec.spread = base.spread; }
+    if (kind === "orbs") { spec.count = Math.max(1, p.orbs); spec.turn = base.turn * d.speed; }
+    if (kind === "aoe") spec.radius = base.radius * (1 + 0.15 * boss.phase);
+    return spec;
+}
+
+// Next attack from the phase's pool, never the same one twice running when there's a choice
+function chooseAttack(boss, rand) {
+    const pool = BOSS_PHASES[boss.phase].pool;
+    const options = pool.length > 1 ? pool.filter(k => k !== boss.last) : pool;
+    return options[Math.min(options.length - 1, Math.floor(rand() * options.length))];
+}
+
+// ============================================================
+// STATE MACHINE
+// ============================================================
+
+/**
+ * The player shot the Wizard for `dmg`. Mutates boss; returns events:
+ *   {type: "warn", n}            — one of the warning shots
+ *   {type: "engage"}             — the fight starts
+ *   {type: "shielded"}           — shot during a phase change, no effect
+ *   {type: "damage", hp, frac}
+ *   {type: "phase", phase, name} — a new phase (and checkpoint) begins
+ *   {type: "defeated"}
+ */
+export function bossHit(boss, dmg) {
+    if (boss.state === "defeated") return [];
+    if (boss.state === "idle") {
+        boss.warnings++;
+        if (boss.warnings <= BOSS_WARNINGS) return [{ type: "warn", n: boss.warnings }];
+        boss.state = "intro"; boss.t = INTRO_TIME; boss.away = 0;
+        return [{ type: "engage" }];
+    }
+    if (boss.state === "phase") return [{ type: "shielded" }];
+    boss.hp = Math.max(0, boss.hp - dmg);
+    const frac = boss.hp / boss.maxHp, events = [{ type: "damage", hp: boss.hp, frac }];
+    if (boss.hp <= 0) {
+        boss.state = "defeated"; boss.attack = null;
+        events.push({ type: "defeated" });
+        return events;
+    }
+    const next = phaseFor(frac);
+    if (next > boss.phase) {
+        boss.phase = next;
+        boss.hp = Math.min(boss.hp, Math.round(BOSS_PHASES[next].from * boss.maxHp));
+        boss.checkpoint = { phase: next, hp: boss.hp };
+        boss.state = "phase"; boss.t = PHASE_TIME; boss.attack = null;
+        events.push({ type: "phase", phase: next, name: BOSS_PHASES[next].name });
+    }
+    return events;
+}
+
+/**
+ * Advance dt seconds. ctx: {inRange (player close enough to fight), rand () → [0, 1)}.
+ * Returns events:
+ *   {type: "windup", attack: spec} — telegraph now; the attack lands in spec.windup s
+ *   {type: "attack", attack: spec}
+ *   {type: "reset"}                — the player left; the fight is back to idle at full health
+ */
+export function stepBoss(boss, dt, ctx = {}) {
+    if (!bossEngaged(boss)) return [];
+    const rand = ctx.rand || Math.random;
+    if (ctx.inRange === false) {
+        boss.away += dt;
+        if (boss.away >= LEASH_TIME) {
+            Object.assign(boss, freshBoss(boss.difficulty), { warnings: BOSS_WARNINGS });
+            return [{ type: "reset" }];
+        }
+        if (boss.state !== "windup") return [];     // a wind-up in progress still lands
+    } else boss.away = 0;
+    boss.t -= dt;
+    if (boss.t > 0) return [];
+    if (boss.state === "windup") {
+        const attack = boss.attack;
+        boss.state = "recover"; boss.attack = null; boss.last = attack.kind;
+        boss.t = BOSS_PHASES[boss.phase].cooldown * BOSS_DIFFICULTY[boss.difficulty].cooldown * (attack.kind === "teleport" ? 0.4 : 1);
+        return [{ type: "attack", attack }];
+    }
+    // intro / phase / recover have run out: pick the next attack
+    if (ctx.inRange === false) return [];
+    const attack = attackSpec(boss, chooseAttack(boss, rand));
+    boss.state = "windup"; boss.attack = attack; boss.t = attack.windup;
+    return [{ type: "windup", attack }];
+}
+
+/** 0 → 1 through the current wind-up (0 outside one) — for charging visuals. */
+export function windupProgress(boss) {
+    return boss.state === "windup" && boss.attack ? clamp(1 - boss.t / boss.attack.windup, 0, 1) : 0;
+}
+
+/** The player took `damage` (already scaled by attackSpec). Returns {hp, dead}. */
+export function bossPlayerHit(boss, damage) {
+    if (isNum(damage) && damage > 0) boss.playerHp = Math.max(0, boss.playerHp - damage);
+    return { hp: boss.playerHp, dead: boss.playerHp <= 0 };
+}
+
+/** Back to the last checkpoint after the player died: the phase's starting health, a full player, a fresh intro. */
+export function bossRetry(boss) {
+    boss.phase = boss.checkpoint.phase;
+    boss.hp = boss.checkpoint.hp;
+    boss.playerHp = boss.playerMax;
+    boss.state = "intro"; boss.t = INTRO_TIME; boss.attack = null; boss.away = 0;
+    boss.retries++;
+    return boss;
+}